@@ -0,0 +1,194 @@
+/**
+ * Super Slow Smooth Scroll - Declarative Initialization
+ *
+ * Creates scrollers from data attributes, for pages without JavaScript:
+ * <div data-slow-scroll data-speed="20" data-bounce>...</div>
+ *
+ * @author Yamato Iizuka
+ * @license MIT
+ */
+
+import { createSlowScroll } from "./index.js";
+import { readOptionAttributes } from "./bindings.js";
+
+const INIT_ATTRIBUTE = "data-slow-scroll"; // Marks the elements to initialize
+const OPTION_PREFIX = "data-"; // data-speed, data-bounce, data-horizontal, ...
+
+const instances = new Map(); // Element -> scroller instance
+
+/**
+ * Instances created by autoInit(), by element
+ */
+export const registry = {
+  /**
+   * Get the instance of an element
+   * @param {HTMLElement} element - Element with data-slow-scroll
+   * @returns {Object|null} The scroller instance, or null if none
+   */
+  get(element) {
+    return instances.get(element) ?? null;
+  },
+
+  /**
+   * Check whether an element has an instance
+   * @param {HTMLElement} element - Element to check
+   * @returns {boolean} True if the element was initialized
+   */
+  has(element) {
+    return instances.has(element);
+  },
+
+  /**
+   * List every initialized element with its instance
+   * @returns {Array} [element, instance] pairs
+   */
+  entries() {
+    return Array.from(instances.entries());
+  },
+
+  get size() {
+    return instances.size;
+  },
+};
+
+/**
+ * Create scrollers for the [data-slow-scroll] elements, and for the ones
+ * added later, destroying them again when they are removed from the page
+ *
+ * @param {Object} [options] - Options for every instance, overridden by the data attributes of each element
+ * @param {HTMLElement} [options.root=document.body] - Element to scan and watch
+ * @param {boolean} [options.observe=true] - Watch for added and removed elements
+ * @returns {Object} { refresh, destroy } to rescan, or stop watching and destroy the instances
+ *
+ * @example
+ * <div data-slow-scroll data-speed="20" data-bounce data-interpolation-target=".inner">
+ *   <div class="inner">...</div>
+ * </div>
+ *
+ * import { autoInit, registry } from 'slow-scroll/auto-init';
+ * autoInit();
+ * registry.get(element).pause();
+ */
+export function autoInit(options = {}) {
+  const { root: rootOption, observe = true, ...defaults } = options;
+  const window = defaults.environment?.window ?? globalThis.window;
+  const document =
+    defaults.environment?.document ?? window?.document ?? globalThis.document;
+
+  const owned = new Set(); // Elements initialized by this call
+  let root = null;
+  let observer = null;
+  let isDestroyed = false;
+
+  /**
+   * Create an instance for an element unless it already has one
+   * @param {HTMLElement} element - Element with data-slow-scroll
+   */
+  function initElement(element) {
+    if (instances.has(element)) {
+      return;
+    }
+    try {
+      const instance = createSlowScroll({
+        ...defaults,
+        ...readOptionAttributes(element, OPTION_PREFIX),
+        target: element,
+      });
+      instances.set(element, instance);
+      owned.add(element);
+    } catch (error) {
+      // One misconfigured element should not keep the others from starting
+      console.warn(`${error.message} (skipped)`, element);
+    }
+  }
+
+  /**
+   * Destroy the instance of an element created by this call
+   * @param {HTMLElement} element - Initialized element
+   */
+  function destroyElement(element) {
+    instances.get(element)?.destroy();
+    instances.delete(element);
+    owned.delete(element);
+  }
+
+  /**
+   * Initialize a node and the marked elements inside it
+   * @param {Node} node - Element to scan
+   */
+  function scan(node) {
+    if (node.nodeType !== 1) {
+      return;
+    }
+    if (node.hasAttribute(INIT_ATTRIBUTE)) {
+      initElement(node);
+    }
+    node.querySelectorAll(`[${INIT_ATTRIBUTE}]`).forEach(initElement);
+  }
+
+  /**
+   * Handle elements added to or removed from the page
+   * @param {MutationRecord[]} records - Mutations since the last call
+   */
+  function handleMutations(records) {
+    let hasRemovals = false;
+    records.forEach((record) => {
+      record.addedNodes.forEach(scan);
+      hasRemovals = hasRemovals || record.removedNodes.length > 0;
+    });
+
+    // Elements moved within the page stay connected and keep their instance
+    if (hasRemovals) {
+      owned.forEach((element) => {
+        if (!element.isConnected) {
+          destroyElement(element);
+        }
+      });
+    }
+  }
+
+  /**
+   * Scan the root and start watching it
+   */
+  function init() {
+    if (isDestroyed) {
+      return;
+    }
+    root = rootOption ?? document.body;
+    scan(root);
+
+    if (observe && typeof window?.MutationObserver !== "undefined") {
+      observer = new window.MutationObserver(handleMutations);
+      observer.observe(root, { childList: true, subtree: true });
+    }
+  }
+
+  /**
+   * Initialize marked elements that were missed (e.g. with observe: false)
+   */
+  function refresh() {
+    if (root && !isDestroyed) {
+      scan(root);
+    }
+  }
+
+  /**
+   * Stop watching and destroy the instances created by this call
+   */
+  function destroy() {
+    isDestroyed = true;
+    observer?.disconnect();
+    observer = null;
+    document.removeEventListener("DOMContentLoaded", init);
+    Array.from(owned).forEach(destroyElement);
+  }
+
+  // Wait for the body when loaded from a script in <head>
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init, { once: true });
+  } else {
+    init();
+  }
+
+  return { refresh, destroy };
+}
@@ -0,0 +1,176 @@
+/**
+ * Super Slow Smooth Scroll - Binding Helpers
+ *
+ * Shared by the framework bindings: reading options from attributes and
+ * finding the options that changed between two renders.
+ *
+ * @author Yamato Iizuka
+ * @license MIT
+ */
+
+// Options that only apply when an instance is created
+const CREATION_OPTIONS = [
+  "target",
+  "mode",
+  "autoplay",
+  "scheduler",
+  "environment",
+];
+
+// Attribute name -> [option name, value type]
+const ATTRIBUTE_OPTIONS = {
+  speed: ["speed", "number"],
+  duration: ["duration", "number"],
+  bounce: ["bounce", "boolean"],
+  loop: ["loop", "boolean"],
+  horizontal: ["isHorizontal", "boolean"],
+  mode: ["mode", "string"],
+  interpolation: ["interpolation", "boolean"],
+  "interpolation-target": ["interpolationTarget", "string"],
+  autoplay: ["autoplay", "boolean"],
+  "adaptive-step": ["adaptiveStep", "boolean"],
+  "transition-duration": ["transitionDuration", "number"],
+  easing: ["easing", "string"],
+  waypoints: ["waypoints", "string"],
+  "waypoint-dwell": ["waypointDwell", "number"],
+  "waypoint-transition": ["waypointTransition", "number"],
+  snap: ["snap", "boolean"],
+  "pause-on-touch": ["pauseOnTouch", "boolean"],
+  "pause-on-mouse-move": ["pauseOnMouseMove", "boolean"],
+  "pause-on-hover": ["pauseOnHover", "boolean"],
+  "pause-on-focus-within": ["pauseOnFocusWithin", "boolean"],
+  "pause-when-hidden": ["pauseWhenHidden", "boolean"],
+  "pause-when-offscreen": ["pauseWhenOffscreen", "boolean"],
+  "pause-on-user-scroll": ["pauseOnUserScroll", "boolean"],
+  interactive: ["interactive", "boolean"],
+  "inertia-duration": ["inertiaDuration", "number"],
+  "reduced-motion": ["reducedMotion", "string"],
+  "reduced-motion-speed": ["reducedMotionSpeed", "number"],
+  persist: ["persist", "string"],
+};
+
+/**
+ * Check whether an option only applies when an instance is created
+ * @param {string} name - Option name
+ * @returns {boolean} True for target, mode, autoplay, scheduler and environment
+ */
+export function isCreationOption(name) {
+  return CREATION_OPTIONS.includes(name);
+}
+
+/**
+ * Names of the attributes that map to options
+ * @param {string} [prefix=""] - Prefix of every attribute (e.g. "data-")
+ * @returns {string[]} Attribute names
+ */
+export function getOptionAttributes(prefix = "") {
+  return Object.keys(ATTRIBUTE_OPTIONS).map((name) => prefix + name);
+}
+
+/**
+ * Convert an attribute value to the type of its option
+ * @param {string} name - Attribute name without the prefix
+ * @param {string|null} value - Attribute value (null when missing)
+ * @returns {Array|null} [option name, value], or null for unknown attributes
+ */
+export function parseOptionAttribute(name, value) {
+  const entry = ATTRIBUTE_OPTIONS[name];
+  if (!entry) {
+    return null;
+  }
+  const [option, type] = entry;
+
+  // Missing attributes fall back to the default
+  if (value === null) {
+    return [option, undefined];
+  }
+  if (type === "boolean") {
+    // Present means true, as with HTML boolean attributes
+    return [option, value !== "false"];
+  }
+  if (type === "number") {
+    const number = Number(value);
+    if (value.trim() === "" || Number.isNaN(number)) {
+      console.warn(
+        `SmoothScroll: Invalid number "${value}" for "${option}" is ignored.`
+      );
+      return [option, undefined];
+    }
+    return [option, number];
+  }
+  return [option, value];
+}
+
+/**
+ * Read the options set by the attributes of an element
+ * @param {HTMLElement} element - Element to read
+ * @param {string} [prefix=""] - Prefix of every attribute (e.g. "data-")
+ * @returns {Object} Options of the attributes present
+ */
+export function readOptionAttributes(element, prefix = "") {
+  const options = {};
+  Object.keys(ATTRIBUTE_OPTIONS).forEach((name) => {
+    const value = element.getAttribute(prefix + name);
+    if (value !== null) {
+      const [option, parsed] = parseOptionAttribute(name, value);
+      if (parsed !== undefined) {
+        options[option] = parsed;
+      }
+    }
+  });
+  return options;
+}
+
+/**
+ * Compare option values, looking one level into arrays and plain objects
+ * so that literals recreated on every render count as unchanged
+ * @param {*} a - Previous value
+ * @param {*} b - Next value
+ * @param {boolean} [deep=true] - Compare the entries of arrays and objects
+ * @returns {boolean} True if the values are equivalent
+ */
+function isSameOption(a, b, deep = true) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (!deep || typeof a !== "object" || typeof b !== "object" || !a || !b) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false;
+  }
+  if (!Array.isArray(a) && Object.getPrototypeOf(a) !== Object.prototype) {
+    return false; // Elements and other instances compare by identity
+  }
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(
+      (key) => key in b && isSameOption(a[key], b[key], Array.isArray(a))
+    )
+  );
+}
+
+/**
+ * Find the options to pass to setConfig() when they change between renders
+ * (options that only apply on creation are left out)
+ * @param {Object} [previous] - Options applied so far
+ * @param {Object} [next] - New options
+ * @returns {Object|null} Changed options (removed ones as undefined), or null if none
+ */
+export function getOptionChanges(previous, next) {
+  previous = previous ?? {};
+  next = next ?? {};
+  const changes = {};
+  let changed = false;
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((name) => {
+    if (!isCreationOption(name) && !isSameOption(previous[name], next[name])) {
+      changes[name] = next[name];
+      changed = true;
+    }
+  });
+  return changed ? changes : null;
+}
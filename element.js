@@ -0,0 +1,88 @@
+/**
+ * Super Slow Smooth Scroll - Custom Element
+ *
+ * Importing this module defines <slow-scroll> in the browser.
+ *
+ * @author Yamato Iizuka
+ * @license MIT
+ */
+
+import { createSlowScroll } from "./index.js";
+import {
+  getOptionAttributes,
+  isCreationOption,
+  parseOptionAttribute,
+  readOptionAttributes,
+} from "./bindings.js";
+
+/**
+ * Define a custom element that auto-scrolls its own content while connected
+ *
+ * Attributes map to options (speed, bounce, horizontal, interpolation-target,
+ * pause-on-hover, ...) and are applied with setConfig() when they change.
+ * The instance is destroyed when the element is disconnected.
+ *
+ * @param {string} [name="slow-scroll"] - Tag name to define
+ * @param {Object} [defaults] - Options for every element, overridden by its attributes
+ * @returns {Function} The element class (the existing one if already defined)
+ *
+ * @example
+ * <slow-scroll speed="20" bounce pause-on-hover style="height: 300px">
+ *   ...
+ * </slow-scroll>
+ *
+ * document.querySelector('slow-scroll').scroller.pause();
+ */
+export function defineSlowScrollElement(name = "slow-scroll", defaults = {}) {
+  const window = defaults.environment?.window ?? globalThis.window;
+  const existing = window.customElements.get(name);
+  if (existing) {
+    return existing;
+  }
+
+  class SlowScrollElement extends window.HTMLElement {
+    #scroller = null;
+
+    static get observedAttributes() {
+      return getOptionAttributes();
+    }
+
+    /**
+     * The scroller instance, or null while disconnected
+     */
+    get scroller() {
+      return this.#scroller;
+    }
+
+    connectedCallback() {
+      this.#scroller = createSlowScroll({
+        ...defaults,
+        ...readOptionAttributes(this),
+        target: this,
+      });
+    }
+
+    disconnectedCallback() {
+      this.#scroller?.destroy();
+      this.#scroller = null;
+    }
+
+    attributeChangedCallback(attribute, oldValue, value) {
+      if (!this.#scroller || oldValue === value) {
+        return;
+      }
+      const [option, parsed] = parseOptionAttribute(attribute, value);
+      // Removed attributes fall back to the defaults
+      if (!isCreationOption(option)) {
+        this.#scroller.setConfig({ [option]: parsed ?? defaults[option] });
+      }
+    }
+  }
+
+  window.customElements.define(name, SlowScrollElement);
+  return SlowScrollElement;
+}
+
+if (typeof customElements !== "undefined") {
+  defineSlowScrollElement();
+}
@@ -15,18 +15,135 @@
 const DEFAULTS = {
   target: "body", // Default scroll target
   speed: 30, // Pixels per second (positive = down/right, negative = up/left)
+  duration: null, // Time in ms to traverse the whole content (overrides the magnitude of speed)
+  velocity: null, // { x, y } in pixels per second to scroll both axes at once (replaces speed and isHorizontal)
   interpolation: true, // Enable transform interpolation
-  bounce: false, // Reverse direction at boundaries
+  bounce: false, // Reverse direction at boundaries (or { x, y } per axis with velocity)
+  loop: false, // Wrap content endlessly instead of stopping or bouncing at boundaries
   isHorizontal: false, // Scroll horizontally instead of vertically
+  mode: "native", // 'native' scrolls the container; 'transform' only moves the content with translate3d (for overflow: hidden frames)
+  waypoints: null, // Selector, or array of offsets, elements or { offset | element, dwell } to stop at
+  waypointDwell: 2000, // Default time in ms to wait at each waypoint
+  waypointTransition: 1000, // Time in ms to ease into and out of each waypoint
+  snap: false, // Glide between the CSS scroll snap points and dwell at each one (like waypoints)
+  zones: null, // Speed zones: selector, or array of elements, selectors or { element | start, end, speed } (null = [data-slow-scroll-speed] in the content)
+  zoneReferenceLine: 0.5, // Position of the line that decides the zone, as a fraction of the viewport
+  zoneTransition: 200, // Distance in px over which the speeds of neighboring zones blend
+  adaptiveStep: true, // Scroll several whole pixels at once when speed exceeds the refresh rate
   autoplay: true, // Start scrolling automatically on creation
+  transitionDuration: 0, // Default time in ms to ease between speeds in start(), stop() and setSpeed()
+  easing: "ease-in-out", // Default easing curve for speed transitions
   pauseOnTouch: false, // Pause scrolling when user touches the scroll area
   pauseOnMouseMove: false, // Pause scrolling when mouse is moving over the scroll area
-  userScrollResumeDelay: 100, // Time in ms to wait before resuming auto-scroll after user scrolling (iOS/iPadOS)
+  pauseWhenHidden: false, // Pause scrolling while the document is hidden (e.g. background tab)
+  pauseWhenOffscreen: false, // Pause scrolling while the scroll area is outside the viewport
+  pauseOnHover: false, // Pause scrolling while the pointer is over the scroll area
+  pauseOnFocusWithin: false, // Pause scrolling while focus is inside the scroll area
+  interactive: false, // Let users drag (pointer, touch) and flick (wheel) the content, with inertia
+  inertiaDuration: 1500, // Time in ms for the inertia of a drag or flick to decay back to speed
+  reducedMotion: "disable", // Policy for prefers-reduced-motion: 'disable', 'slow', 'no-interpolation' or 'ignore'
+  reducedMotionSpeed: 0.5, // Speed multiplier used by the 'slow' reduced motion policy
+  pauseOnUserScroll: true, // Pause while the user scrolls (true, false or a list of detection strategies)
+  userScrollResumeDelay: 100, // Time in ms to wait before resuming auto-scroll after user scrolling
   onDirectionChange: null,
   onBoundaryReached: null,
+  progressInterval: 100, // Minimum time in ms between "progress" events
+  stats: false, // Collect frame timing statistics (see getStats())
+  statsInterval: 1000, // Time in ms between "stats" events
+  statsOverlay: false, // Show the statistics in a small overlay (implies stats)
+  onStats: null,
+  persist: null, // Storage key to save the position, direction, speed and state, restored by start() after a reload
+  persistStorage: "session", // Where to save them: 'session', 'local' or an adapter { getItem, setItem }
 };
 
 const SCROLL_AMOUNT = 1; // Fixed at 1px for Safari compatibility
+const MAX_FRAME_ELAPSED = 100; // Longer gaps between frames (e.g. background tabs) are not caught up
+const ANIMATE_TO_DURATION = 1000; // Default time in ms for animateTo()
+const LONG_FRAME_THRESHOLD = 50; // Frames taking longer than this (ms) count as long frames
+const DRAG_THRESHOLD = 5; // Distance in px a press moves before it becomes a drag (shorter ones stay clicks)
+const DRAG_VELOCITY_WINDOW = 100; // Time in ms of pointer movement that sets the release velocity
+const MAX_INERTIA_SPEED = 5000; // Fastest speed in px/s a drag or flick can throw the content at
+const WHEEL_LINE_HEIGHT = 16; // Pixels per line for wheel events measured in lines
+const PERSIST_INTERVAL = 500; // Time in ms between saves of the persisted state while scrolling
+// Easing curves for speed transitions (t = 0-1)
+const EASINGS = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => t * (2 - t),
+  "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+};
+
+// User scroll detection strategies
+// wheel: mouse wheel and trackpad, keyboard: scroll keys, scrollbar: dragging the scrollbar,
+// scroll: position changes larger than the auto-scroll step, momentum: wait for iOS elastic bounce
+// and cancel leftover momentum before resuming (requires scroll)
+const USER_SCROLL_STRATEGIES = [
+  "wheel",
+  "keyboard",
+  "scrollbar",
+  "scroll",
+  "momentum",
+];
+const SCROLL_KEYS = [
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "PageUp",
+  "PageDown",
+  "Home",
+  "End",
+  " ",
+];
+
+const SCROLL_MODES = ["native", "transform"];
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+const REDUCED_MOTION_POLICIES = [
+  "disable",
+  "slow",
+  "no-interpolation",
+  "ignore",
+];
+
+const LOOP_CLONE_ATTRIBUTE = "data-slow-scroll-clone"; // Marks content duplicated for loop mode
+const GROUP_MEMBER = Symbol("slowScrollGroupMember"); // Private option linking an instance to its group
+const WAYPOINT_DWELL_ATTRIBUTE = "data-slow-scroll-dwell"; // Per-element dwell time for selector waypoints
+const ZONE_SPEED_ATTRIBUTE = "data-slow-scroll-speed"; // Speed multiplier of a content section
+const STATS_OVERLAY_ATTRIBUTE = "data-slow-scroll-stats"; // Marks the statistics overlay
+
+// Options measured along a single axis, which are ignored in two-axis mode
+const SINGLE_AXIS_OPTIONS = [
+  "loop",
+  "waypoints",
+  "snap",
+  "duration",
+  "zones",
+  "interactive",
+];
+// Pause reasons held by listeners on the scroll container, released when it changes
+const CONTAINER_PAUSE_REASONS = [
+  "touch",
+  "mouse",
+  "user-scroll",
+  "overscroll",
+  "hover",
+  "focus",
+  "offscreen",
+  "drag",
+];
+// Times in ms and multipliers that must be non-negative numbers
+const NON_NEGATIVE_OPTIONS = [
+  "transitionDuration",
+  "waypointDwell",
+  "waypointTransition",
+  "zoneTransition",
+  "inertiaDuration",
+  "reducedMotionSpeed",
+  "userScrollResumeDelay",
+  "progressInterval",
+  "statsInterval",
+];
 
 // ========================================
 // Helper Functions
@@ -34,10 +151,465 @@ const SCROLL_AMOUNT = 1; // Fixed at 1px for Safari compatibility
 
 /**
  * Detect iOS and iPadOS devices
+ * @param {string} userAgent - User agent string
  * @returns {boolean} True if device is iOS or iPadOS
  */
-function isIOSDevice() {
-  return /iPad|iPhone|iPod/.test(navigator.userAgent);
+function isIOSDevice(userAgent) {
+  return /iPad|iPhone|iPod/.test(userAgent);
+}
+
+/**
+ * Fill in the timing functions of the scheduler option with the browser's
+ * @param {Object} [scheduler] - Replacements for any of the functions below
+ * @returns {Object} { requestFrame, cancelFrame, now, setTimeout, clearTimeout }
+ */
+function resolveScheduler(scheduler) {
+  return {
+    requestFrame:
+      scheduler?.requestFrame ??
+      ((callback) => requestAnimationFrame(callback)),
+    cancelFrame: scheduler?.cancelFrame ?? ((id) => cancelAnimationFrame(id)),
+    now: scheduler?.now ?? (() => performance.now()),
+    setTimeout: scheduler?.setTimeout ?? ((fn, delay) => setTimeout(fn, delay)),
+    clearTimeout: scheduler?.clearTimeout ?? ((id) => clearTimeout(id)),
+  };
+}
+
+/**
+ * Fill in the environment option with the browser globals
+ * @param {Object} [environment] - Replacements for window, document and platform detection
+ * @returns {Object} { window, document, isIOS }
+ */
+function resolveEnvironment(environment) {
+  const userAgent =
+    environment?.userAgent ?? globalThis.navigator?.userAgent ?? "";
+  return {
+    window: environment?.window ?? globalThis.window,
+    document:
+      environment?.document ??
+      environment?.window?.document ??
+      globalThis.document,
+    isIOS: environment?.isIOS ?? isIOSDevice(userAgent),
+  };
+}
+
+/**
+ * Check that a value is a speed vector { x, y }
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an object whose x and y are numbers (or missing)
+ */
+function isVelocityVector(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    typeof (value.x ?? 0) === "number" &&
+    typeof (value.y ?? 0) === "number"
+  );
+}
+
+/**
+ * Validate a configuration, throwing on the first invalid option
+ * @param {Object} config - Configuration to check
+ * @param {Function} HTMLElement - Element class of the environment
+ */
+function validateConfig(config, HTMLElement) {
+  if (
+    typeof config.target !== "string" &&
+    !(config.target instanceof HTMLElement)
+  ) {
+    throw new Error(
+      'SmoothScroll: "target" must be a CSS selector string or HTMLElement'
+    );
+  }
+
+  // The speed is derived from a velocity vector
+  if (config.velocity !== null && !isVelocityVector(config.velocity)) {
+    throw new Error('SmoothScroll: "velocity" must be an object { x, y }');
+  }
+
+  if (typeof config.speed !== "number" || Number.isNaN(config.speed)) {
+    throw new Error('SmoothScroll: "speed" must be a number');
+  }
+
+  if (!SCROLL_MODES.includes(config.mode)) {
+    throw new Error('SmoothScroll: "mode" must be "native" or "transform"');
+  }
+
+  if (!REDUCED_MOTION_POLICIES.includes(config.reducedMotion)) {
+    throw new Error(
+      `SmoothScroll: "reducedMotion" must be one of ${REDUCED_MOTION_POLICIES.map(
+        (policy) => `"${policy}"`
+      ).join(", ")}`
+    );
+  }
+
+  NON_NEGATIVE_OPTIONS.forEach((name) => {
+    if (!(typeof config[name] === "number" && config[name] >= 0)) {
+      throw new Error(`SmoothScroll: "${name}" must be a non-negative number`);
+    }
+  });
+
+  const strategies = config.pauseOnUserScroll;
+  if (typeof strategies !== "boolean" && !Array.isArray(strategies)) {
+    throw new Error(
+      'SmoothScroll: "pauseOnUserScroll" must be a boolean or an array of strategies'
+    );
+  }
+  const unknown = Array.isArray(strategies)
+    ? strategies.find((strategy) => !USER_SCROLL_STRATEGIES.includes(strategy))
+    : undefined;
+  if (unknown !== undefined) {
+    throw new Error(`SmoothScroll: Unknown user scroll strategy "${unknown}"`);
+  }
+
+  if (
+    config.duration !== null &&
+    !(typeof config.duration === "number" && config.duration > 0)
+  ) {
+    throw new Error('SmoothScroll: "duration" must be a positive number');
+  }
+
+  if (
+    !(
+      typeof config.zoneReferenceLine === "number" &&
+      config.zoneReferenceLine >= 0 &&
+      config.zoneReferenceLine <= 1
+    )
+  ) {
+    throw new Error(
+      'SmoothScroll: "zoneReferenceLine" must be a number between 0 and 1'
+    );
+  }
+
+  if (
+    config.persist !== null &&
+    !(typeof config.persist === "string" && config.persist !== "")
+  ) {
+    throw new Error('SmoothScroll: "persist" must be a storage key string');
+  }
+
+  const storage = config.persistStorage;
+  if (
+    storage !== "session" &&
+    storage !== "local" &&
+    !(
+      typeof storage?.getItem === "function" &&
+      typeof storage?.setItem === "function"
+    )
+  ) {
+    throw new Error(
+      'SmoothScroll: "persistStorage" must be "session", "local" or an object with getItem() and setItem()'
+    );
+  }
+}
+
+/**
+ * Resolve the persistStorage option to a storage object
+ * @param {string|Object} storage - 'session', 'local' or an adapter { getItem, setItem }
+ * @param {Window} window - Window of the environment
+ * @returns {Object|null} Storage, or null when the browser's is unavailable
+ */
+function resolvePersistStorage(storage, window) {
+  if (typeof storage === "object") {
+    return storage;
+  }
+  try {
+    // Reading the property throws when storage is blocked (e.g. by privacy settings)
+    return window[`${storage}Storage`] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check the shape of a state read back from storage
+ * @param {*} state - Parsed value
+ * @returns {boolean} True for { position: { x, y }, direction, speed, status }
+ */
+function isPersistedState(state) {
+  return (
+    typeof state === "object" &&
+    state !== null &&
+    isVelocityVector(state.position) &&
+    (state.direction === 1 || state.direction === -1) &&
+    typeof state.speed === "number" &&
+    ["running", "paused", "stopped"].includes(state.status)
+  );
+}
+
+/**
+ * Resolve the pauseOnUserScroll option (checked by validateConfig) to a
+ * list of detection strategies
+ * @param {boolean|string[]} option - true for every strategy that applies to this device, false for none, or a list
+ * @param {boolean} isIOS - Whether this device is iOS or iPadOS
+ * @returns {string[]} Strategy names
+ */
+function resolveUserScrollStrategies(option, isIOS) {
+  if (option === false) {
+    return [];
+  }
+  if (option === true) {
+    // Momentum handling is only needed for iOS elastic scrolling
+    return USER_SCROLL_STRATEGIES.filter(
+      (strategy) => strategy !== "momentum" || isIOS
+    );
+  }
+
+  // Momentum handling relies on scroll events
+  if (option.includes("momentum") && !option.includes("scroll")) {
+    return [...option, "scroll"];
+  }
+  return [...option];
+}
+
+/**
+ * Check whether a keyboard event comes from an element that handles keys itself
+ * @param {Event} event - Keyboard event
+ * @returns {boolean} True if the event target is editable
+ */
+function isEditableTarget(event) {
+  const element = event.target;
+  if (!element || !element.tagName) {
+    return false;
+  }
+  return (
+    element.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+  );
+}
+
+/**
+ * Resolve an easing option to an easing function
+ * @param {string|Function} easing - Easing name or custom function (t => value)
+ * @returns {Function} Easing function
+ */
+function resolveEasing(easing) {
+  if (typeof easing === "function") {
+    return easing;
+  }
+  if (!EASINGS[easing]) {
+    console.warn(
+      `SmoothScroll: Unknown easing "${easing}". Falling back to linear.`
+    );
+    return EASINGS.linear;
+  }
+  return EASINGS[easing];
+}
+
+/**
+ * Detect which axes scroll towards negative positions. In right-to-left
+ * and vertical writing modes the scroll origin sits at the right (or the
+ * bottom), so scrollLeft (or scrollTop) runs from 0 down to -max.
+ * @param {CSSStyleDeclaration} style - Computed style of the scroll container
+ * @returns {number[]} Sign of the [horizontal, vertical] scroll positions (1 or -1)
+ */
+function getScrollAxisSigns(style) {
+  const writingMode = style.writingMode || "horizontal-tb";
+  const isRtl = style.direction === "rtl";
+
+  if (
+    !writingMode.startsWith("vertical") &&
+    !writingMode.startsWith("sideways")
+  ) {
+    return [isRtl ? -1 : 1, 1];
+  }
+
+  // Vertical writing modes: blocks flow horizontally (right to left for -rl),
+  // lines run vertically (bottom to top for rtl, or sideways-lr)
+  const x = writingMode.endsWith("-rl") ? -1 : 1;
+  const y = isRtl !== (writingMode === "sideways-lr") ? -1 : 1;
+  return [x, y];
+}
+
+/**
+ * Share of the starting speed covered while easing down to zero,
+ * i.e. the area above the easing curve (0.5 for symmetric curves)
+ * @param {Function} easing - Easing function mapping 0-1 to 0-1
+ * @returns {number} Ratio between 0 and 1
+ */
+function getEasingCoastRatio(easing) {
+  const samples = 20;
+  let area = 0;
+  for (let i = 0; i < samples; i++) {
+    area += 1 - easing((i + 0.5) / samples);
+  }
+  return area / samples;
+}
+
+/**
+ * Create a minimal event emitter
+ * @returns {Object} Emitter with on(), off(), once(), emit(), has() and clear()
+ */
+function createEmitter() {
+  const listeners = new Map(); // Event name -> Set of listeners
+
+  const off = (event, fn) => {
+    const set = listeners.get(event);
+    if (!set) {
+      return;
+    }
+    // once() listeners are registered through a wrapper
+    set.forEach((listener) => {
+      if (listener === fn || listener.listener === fn) {
+        set.delete(listener);
+      }
+    });
+  };
+
+  const on = (event, fn) => {
+    if (typeof fn !== "function") {
+      console.warn("SmoothScroll: Event listener must be a function.");
+      return () => {};
+    }
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(fn);
+    return () => off(event, fn);
+  };
+
+  const once = (event, fn) => {
+    if (typeof fn !== "function") {
+      console.warn("SmoothScroll: Event listener must be a function.");
+      return () => {};
+    }
+    const wrapper = (payload) => {
+      off(event, wrapper);
+      fn(payload);
+    };
+    wrapper.listener = fn;
+    return on(event, wrapper);
+  };
+
+  const emit = (event, payload = {}) => {
+    const set = listeners.get(event);
+    if (!set) {
+      return;
+    }
+    // Copy so listeners can unsubscribe while being called
+    [...set].forEach((fn) => fn({ type: event, ...payload }));
+  };
+
+  const has = (event) => (listeners.get(event)?.size ?? 0) > 0;
+
+  const clear = () => listeners.clear();
+
+  return { on, off, once, emit, has, clear };
+}
+
+/**
+ * Create a collector of frame timing statistics
+ * @param {Function} now - Clock returning the current time in ms
+ * @returns {Object} Collector with reset(), record methods and snapshot()
+ */
+function createStatsCollector(now) {
+  let stats = null;
+  let pauseStarts = new Map(); // Reason -> time the ongoing pause began
+  let frameInterval = Infinity; // Shortest frame seen, taken as the refresh interval
+
+  const reset = () => {
+    stats = {
+      frames: 0,
+      activeTime: 0,
+      steps: 0,
+      scrolledDistance: 0,
+      interpolatedFrames: 0,
+      longFrames: 0,
+      droppedFrames: 0,
+      pausedTime: {},
+      overscrolls: 0,
+    };
+    pauseStarts = new Map();
+    frameInterval = Infinity;
+  };
+
+  // An animated frame took `elapsed` ms since the previous one
+  const frame = (elapsed) => {
+    stats.frames++;
+    stats.activeTime += elapsed;
+    if (elapsed > LONG_FRAME_THRESHOLD) {
+      stats.longFrames++;
+    }
+    // Ignore timer jitter below 4ms (240Hz)
+    if (elapsed >= 4) {
+      frameInterval = Math.min(frameInterval, elapsed);
+      stats.droppedFrames += Math.max(
+        0,
+        Math.round(elapsed / frameInterval) - 1
+      );
+    }
+  };
+
+  // A native scroll of `distance` whole pixels
+  const step = (distance) => {
+    stats.steps++;
+    stats.scrolledDistance += distance;
+  };
+
+  const interpolated = () => {
+    stats.interpolatedFrames++;
+  };
+
+  const overscroll = () => {
+    stats.overscrolls++;
+  };
+
+  const pauseStart = (reason) => {
+    pauseStarts.set(reason, now());
+  };
+
+  const pauseEnd = (reason) => {
+    if (pauseStarts.has(reason)) {
+      stats.pausedTime[reason] =
+        (stats.pausedTime[reason] ?? 0) + now() - pauseStarts.get(reason);
+      pauseStarts.delete(reason);
+    }
+  };
+
+  // Copy of the statistics, including pauses still going on
+  const snapshot = (requestedSpeed) => {
+    const pausedTime = { ...stats.pausedTime };
+    pauseStarts.forEach((start, reason) => {
+      pausedTime[reason] = (pausedTime[reason] ?? 0) + now() - start;
+    });
+    return {
+      ...stats,
+      requestedSpeed,
+      effectiveSpeed:
+        stats.activeTime > 0
+          ? (stats.scrolledDistance / stats.activeTime) * 1000
+          : 0,
+      pausedTime,
+    };
+  };
+
+  reset();
+  return {
+    reset,
+    frame,
+    step,
+    interpolated,
+    overscroll,
+    pauseStart,
+    pauseEnd,
+    snapshot,
+  };
+}
+
+/**
+ * Clone a node for loop mode, hiding it from assistive technology
+ * and stripping ids so the document stays valid
+ * @param {Element} node - Original child of the loop content element
+ * @returns {Element} Detached clone
+ */
+function createLoopClone(node) {
+  const clone = node.cloneNode(true);
+  clone.setAttribute(LOOP_CLONE_ATTRIBUTE, "");
+  clone.setAttribute("aria-hidden", "true");
+  clone.inert = true;
+  clone.removeAttribute("id");
+  clone.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+  return clone;
 }
 
 // ========================================
@@ -51,15 +623,47 @@ function isIOSDevice() {
  * @param {string|HTMLElement} [options.target='body'] - CSS selector or DOM element of scrollable container (defaults to 'body')
  * @param {string|HTMLElement} [options.interpolationTarget] - CSS selector or DOM element to apply interpolation transform (optional, defaults to target)
  * @param {number} [options.speed=30] - Scroll speed in pixels per second (positive = down/right, negative = up/left)
+ * @param {number} [options.duration] - Time in ms to traverse the whole content. The speed is derived from the content size (its sign still comes from speed)
  * @param {boolean} [options.interpolation=true] - Enable transform interpolation for smoothness
- * @param {boolean} [options.bounce=false] - Reverse direction when reaching boundaries
+ * @param {Object} [options.velocity] - Speed vector { x, y } in pixels per second to scroll diagonally. Replaces speed and isHorizontal
+ * @param {boolean|Object} [options.bounce=false] - Reverse direction when reaching boundaries (or { x, y } to choose per axis)
+ * @param {boolean} [options.loop=false] - Duplicate the content and wrap around seamlessly (takes precedence over bounce)
  * @param {boolean} [options.isHorizontal=false] - Scroll horizontally instead of vertically
+ * @param {string} [options.mode='native'] - 'native' scrolls the container; 'transform' moves the content (interpolationTarget, or the target's first child) with translate3d only, for frames that cannot scroll
+ * @param {string|Array} [options.waypoints] - Selector, or array of pixel offsets, elements, selectors or { offset | element, dwell } objects to stop at
+ * @param {number} [options.waypointDwell=2000] - Default time in ms to wait at each waypoint
+ * @param {number} [options.waypointTransition=1000] - Time in ms to ease into and out of each waypoint
+ * @param {boolean} [options.snap=false] - Stop at the CSS scroll snap points of the content like waypoints (using waypointDwell and waypointTransition)
+ * @param {string|Array|boolean} [options.zones] - Speed zones: selector, or array of elements, selectors or { element | start, end, speed } objects. Defaults to the [data-slow-scroll-speed] elements in the content; false disables them
+ * @param {number} [options.zoneReferenceLine=0.5] - Line in the viewport (0 = start, 1 = end) whose zone sets the speed
+ * @param {number} [options.zoneTransition=200] - Distance in px over which the speeds of neighboring zones blend
+ * @param {boolean} [options.adaptiveStep=true] - Scroll several whole pixels per native scroll when speed exceeds the display refresh rate
  * @param {boolean} [options.autoplay=true] - Start scrolling automatically on creation
+ * @param {number} [options.transitionDuration=0] - Default time in ms to ease between speeds in start(), stop() and setSpeed()
+ * @param {string|Function} [options.easing='ease-in-out'] - Default easing for speed transitions ('linear', 'ease-in', 'ease-out', 'ease-in-out' or a function)
  * @param {boolean} [options.pauseOnTouch=false] - Pause scrolling when user touches the scroll area
  * @param {boolean} [options.pauseOnMouseMove=false] - Pause scrolling when mouse is moving over the scroll area
- * @param {number} [options.userScrollResumeDelay=100] - Time in ms to wait before resuming auto-scroll after user scrolling (iOS/iPadOS only)
+ * @param {boolean} [options.pauseWhenHidden=false] - Pause scrolling while the document is hidden
+ * @param {boolean} [options.pauseWhenOffscreen=false] - Pause scrolling while the scroll area is outside the viewport
+ * @param {boolean} [options.pauseOnHover=false] - Pause scrolling while the pointer is over the scroll area
+ * @param {boolean} [options.pauseOnFocusWithin=false] - Pause scrolling while focus is inside the scroll area
+ * @param {boolean} [options.interactive=false] - Let users drag the content (pointer and touch) and flick it (wheel); the auto-scroll continues from there with inertia
+ * @param {number} [options.inertiaDuration=1500] - Time in ms for the inertia of a drag or flick to decay back to speed
+ * @param {string} [options.reducedMotion='disable'] - What to do when the user prefers reduced motion: 'disable' (pause), 'slow', 'no-interpolation' or 'ignore'
+ * @param {number} [options.reducedMotionSpeed=0.5] - Speed multiplier for the 'slow' reduced motion policy
+ * @param {boolean|string[]} [options.pauseOnUserScroll=true] - Pause while the user scrolls. true enables every strategy, or pick from 'wheel', 'keyboard', 'scrollbar', 'scroll' and 'momentum'
+ * @param {number} [options.userScrollResumeDelay=100] - Time in ms to wait before resuming auto-scroll after user scrolling
  * @param {Function} [options.onDirectionChange] - Callback when scroll direction changes
  * @param {Function} [options.onBoundaryReached] - Callback when boundary is reached (if bounce is false)
+ * @param {number} [options.progressInterval=100] - Minimum time in ms between "progress" events
+ * @param {boolean} [options.stats=false] - Collect frame timing statistics (see getStats())
+ * @param {number} [options.statsInterval=1000] - Time in ms between "stats" events
+ * @param {boolean} [options.statsOverlay=false] - Show the statistics in a small overlay for debugging (implies stats)
+ * @param {Function} [options.onStats] - Callback with the statistics every statsInterval
+ * @param {string} [options.persist] - Storage key to save the position, direction, speed and running or paused state, restored by the first start() (e.g. after a reload)
+ * @param {string|Object} [options.persistStorage='session'] - Where to save them: 'session' (sessionStorage), 'local' (localStorage) or an adapter { getItem, setItem }
+ * @param {Object} [options.scheduler] - Timing functions replacing the browser's: { requestFrame, cancelFrame, now, setTimeout, clearTimeout } (see createManualScheduler() in testing.js)
+ * @param {Object} [options.environment] - Browser globals replacing the real ones: { window, document, userAgent, isIOS }
  * @returns {Object} Instance with start() and stop() methods
  *
  * @example
@@ -86,6 +690,11 @@ function isIOSDevice() {
  * // Later...
  * scroller.stop();
  *
+ * // With eased speed changes
+ * scroller.start({ duration: 1000 }); // Accelerate over 1 second
+ * scroller.setSpeed(-24, { duration: 2000 }); // Ease through zero and reverse
+ * scroller.stop({ duration: 500 }); // Decelerate, then stop
+ *
  * // With DOM element (useful for React)
  * const element = document.querySelector('.project-grid');
  * const scroller = createSlowScroll({
@@ -94,21 +703,23 @@ function isIOSDevice() {
  * });
  */
 export function createSlowScroll(options = {}) {
+  // Timing and browser globals (replaceable for headless testing).
+  // window and document below refer to the environment's.
+  const scheduler = resolveScheduler(options.scheduler);
+  const environment = resolveEnvironment(options.environment);
+  const { window, document } = environment;
+
   // Use default target if not provided
   const target = options.target ?? DEFAULTS.target;
 
-  // Validate target type
-  const isString = typeof target === "string";
-  const isElement = target instanceof HTMLElement;
-
-  if (!isString && !isElement) {
-    throw new Error(
-      'SmoothScroll: "target" must be a CSS selector string or HTMLElement'
-    );
-  }
+  // Two-axis mode: a speed vector instead of a signed speed along one axis
+  const velocity = options.velocity ?? DEFAULTS.velocity;
 
   // Speed in pixels per second (can be negative to reverse direction)
-  const speed = options.speed ?? DEFAULTS.speed;
+  // The magnitude of the vector in two-axis mode
+  const speed = velocity
+    ? Math.hypot(velocity.x ?? 0, velocity.y ?? 0)
+    : options.speed ?? DEFAULTS.speed;
   const absSpeed = Math.abs(speed);
 
   // For Safari compatibility: always scroll 1px per update
@@ -122,47 +733,184 @@ export function createSlowScroll(options = {}) {
     speed: speed,
     absSpeed: absSpeed,
     fps: fps,
+    duration: options.duration ?? DEFAULTS.duration,
+    // Anything but a vector is left for validateConfig() to reject
+    velocity: isVelocityVector(velocity)
+      ? { x: velocity.x ?? 0, y: velocity.y ?? 0 }
+      : velocity,
     scrollAmount: SCROLL_AMOUNT,
     interpolation: options.interpolation ?? DEFAULTS.interpolation,
     bounce: options.bounce ?? DEFAULTS.bounce,
-    isHorizontal: options.isHorizontal ?? DEFAULTS.isHorizontal,
+    loop: options.loop ?? DEFAULTS.loop,
+    // The faster axis is the main axis in two-axis mode
+    isHorizontal: velocity
+      ? Math.abs(velocity.x ?? 0) > Math.abs(velocity.y ?? 0)
+      : options.isHorizontal ?? DEFAULTS.isHorizontal,
+    mode: options.mode ?? DEFAULTS.mode,
+    adaptiveStep: options.adaptiveStep ?? DEFAULTS.adaptiveStep,
     autoplay: options.autoplay ?? DEFAULTS.autoplay,
+    transitionDuration:
+      options.transitionDuration ?? DEFAULTS.transitionDuration,
+    easing: options.easing ?? DEFAULTS.easing,
     pauseOnTouch: options.pauseOnTouch ?? DEFAULTS.pauseOnTouch,
     pauseOnMouseMove: options.pauseOnMouseMove ?? DEFAULTS.pauseOnMouseMove,
+    pauseWhenHidden: options.pauseWhenHidden ?? DEFAULTS.pauseWhenHidden,
+    pauseWhenOffscreen:
+      options.pauseWhenOffscreen ?? DEFAULTS.pauseWhenOffscreen,
+    pauseOnHover: options.pauseOnHover ?? DEFAULTS.pauseOnHover,
+    pauseOnFocusWithin:
+      options.pauseOnFocusWithin ?? DEFAULTS.pauseOnFocusWithin,
+    interactive: options.interactive ?? DEFAULTS.interactive,
+    inertiaDuration: options.inertiaDuration ?? DEFAULTS.inertiaDuration,
+    reducedMotion: options.reducedMotion ?? DEFAULTS.reducedMotion,
+    reducedMotionSpeed:
+      options.reducedMotionSpeed ?? DEFAULTS.reducedMotionSpeed,
+    pauseOnUserScroll: options.pauseOnUserScroll ?? DEFAULTS.pauseOnUserScroll,
     userScrollResumeDelay:
       options.userScrollResumeDelay ?? DEFAULTS.userScrollResumeDelay,
     onDirectionChange: options.onDirectionChange ?? DEFAULTS.onDirectionChange,
     onBoundaryReached: options.onBoundaryReached ?? DEFAULTS.onBoundaryReached,
+    progressInterval: options.progressInterval ?? DEFAULTS.progressInterval,
+    stats: options.stats ?? DEFAULTS.stats,
+    statsInterval: options.statsInterval ?? DEFAULTS.statsInterval,
+    statsOverlay: options.statsOverlay ?? DEFAULTS.statsOverlay,
+    onStats: options.onStats ?? DEFAULTS.onStats,
+    persist: options.persist ?? DEFAULTS.persist,
+    persistStorage: options.persistStorage ?? DEFAULTS.persistStorage,
+    waypoints: options.waypoints ?? DEFAULTS.waypoints,
+    waypointDwell: options.waypointDwell ?? DEFAULTS.waypointDwell,
+    waypointTransition:
+      options.waypointTransition ?? DEFAULTS.waypointTransition,
+    snap: options.snap ?? DEFAULTS.snap,
+    zones: options.zones ?? DEFAULTS.zones,
+    zoneReferenceLine: options.zoneReferenceLine ?? DEFAULTS.zoneReferenceLine,
+    zoneTransition: options.zoneTransition ?? DEFAULTS.zoneTransition,
   };
 
-  // Helper function to get current frame interval
-  const getFrameInterval = () => {
-    if (config.fps === 0) return Infinity;
-    return 1000 / config.fps;
+  validateConfig(config, window.HTMLElement);
+
+  // Features measured along a single axis are not available in two-axis mode
+  if (config.velocity) {
+    SINGLE_AXIS_OPTIONS.forEach((name) => {
+      if (config[name]) {
+        console.warn(
+          `SmoothScroll: "${name}" is not supported with "velocity" and is ignored.`
+        );
+        config[name] = DEFAULTS[name];
+      }
+    });
+  }
+
+  // Frame scheduling shared with the other members of a group (see createSlowScrollGroup)
+  const group = options[GROUP_MEMBER] ?? null;
+  const requestFrameCallback = group
+    ? group.requestFrame
+    : scheduler.requestFrame;
+  const cancelFrameCallback = group ? group.cancelFrame : scheduler.cancelFrame;
+
+  // User scroll detection strategies in effect
+  let userScrollStrategies = resolveUserScrollStrategies(
+    config.pauseOnUserScroll,
+    environment.isIOS
+  );
+
+  // Helper function to get the frame interval of a 1px step at the given speed
+  // (defaults to the speed currently applied, which differs from config.speed
+  // while easing and inside speed zones)
+  const getFrameInterval = (speedValue = currentSpeed * zoneFactor) => {
+    const fps = Math.abs(speedValue) / config.scrollAmount;
+    if (fps === 0) return Infinity;
+    return 1000 / fps;
   };
 
-  // Determine axis based on config
-  const isVertical = !config.isHorizontal;
-  const isHorizontal = config.isHorizontal;
+  // Transform mode moves the content instead of scrolling (fixed on creation)
+  const isTransformMode = config.mode === "transform";
+
+  // Determine axis based on config (switched by setConfig())
+  let isVertical = !config.isHorizontal;
+  let isHorizontal = config.isHorizontal;
 
   // Scroll direction: positive speed = 1 (down/right), negative speed = -1 (up/left)
   const getScrollDirection = (speedValue) => (speedValue >= 0 ? 1 : -1);
 
+  // Sign of the native scroll positions of the [horizontal, vertical] axes
+  // (-1 in right-to-left and vertical writing modes, see getScrollAxisSigns)
+  let scrollAxisSigns = [1, 1];
+  const getAxisSign = (vertical = isVertical) =>
+    scrollAxisSigns[vertical ? 1 : 0];
+
+  // Direction name passed to onDirectionChange
+  // Directions are normalized (1 = away from the scroll origin), names are physical
+  const getDirectionName = (direction, vertical = isVertical) => {
+    const physical = direction * getAxisSign(vertical);
+    if (vertical) {
+      return physical === 1 ? "down" : "up";
+    }
+    return physical === 1 ? "right" : "left";
+  };
+
+  // Boundary name passed to onBoundaryReached
+  const getBoundaryName = (direction, vertical = isVertical) => {
+    const physical = direction * getAxisSign(vertical);
+    if (vertical) {
+      return physical === 1 ? "bottom" : "top";
+    }
+    return physical === 1 ? "right" : "left";
+  };
+
+  // Whether to bounce at the boundaries of an axis
+  const shouldBounce = (vertical = isVertical) =>
+    typeof config.bounce === "object" && config.bounce !== null
+      ? Boolean(config.bounce[vertical ? "y" : "x"])
+      : config.bounce;
+
   // State
-  let animationId = null;
+  let animationId = null; // Pending animation frame (null while paused or stopped)
+  let isStarted = false; // Between start() and stop(), including while paused
+  let isDestroyed = false;
   let scrollDirection = getScrollDirection(speed);
-  let lastScrollTime = null;
+  let lastFrameTime = null;
   let targetElement = null;
+  let customTransformTarget = null; // Resolved interpolationTarget option
   let scrollContainer = null; // The actual scrollable container (element or window)
+  let overriddenStyles = []; // [element, property, inline value] replaced while auto-scrolling
   let transformTarget = null; // The element to apply transform to (same as scrollContainer for elements)
 
-  // User scroll detection state (iOS/iPadOS only)
+  // Speed state
+  let currentSpeed = 0; // Signed speed applied right now (eases towards the target)
+  let bounceSign = 1; // Flipped by bounce so that setSpeed() keeps the bounced direction
+  let speedTransition = null; // Active speed easing { from, to, duration, easing, elapsed, onComplete }
+  let isStopping = false; // Decelerating before stop()
+  let stepProgress = 0; // Signed progress towards the next 1px step (-1 to 1)
+  const speedFactors = new Map(); // Name -> multiplier applied to the target speed
+  let isInterpolationSuppressed = false; // Interpolation turned off by reduced motion
+
+  // Event state
+  const emitter = createEmitter();
+  const pauseReasons = new Map(); // Reason -> number of holders keeping the scroller paused
+  let lastProgressTime = null; // Time of the latest throttled progress event
+
+  // Statistics state (collected with the stats or statsOverlay option)
+  const statsCollector = createStatsCollector(scheduler.now);
+  const isCollectingStats = () => config.stats || config.statsOverlay;
+  let lastStatsTime = null; // Time of the latest "stats" event
+  let statsOverlayElement = null;
+
+  // Persistence state (with the persist option)
+  let hasRestored = false; // Only the first start() restores the saved state
+  let lastPersistTime = null; // Time of the latest save while scrolling
+  let pageHideHandler = null;
+  let hasPersistError = false; // Storage errors are reported once
+
+  // User scroll detection state
   let userScrollTimer = null;
   let isUserScrolling = false;
-  let userScrollHandler = null;
+  let isDraggingScrollbar = false;
+  let userScrollListeners = []; // [target, type, handler] entries to remove on stop
   let isAutoScrolling = false; // Flag to distinguish auto-scroll from user scroll
   let lastScrollPosition = 0; // Track scroll position to detect user scrolling
-  let scrollStepFn = null; // Reference to scrollStep function for resuming
+  let lastCrossScrollPosition = 0; // Same for the other axis in two-axis mode
+  let lastStepAmount = SCROLL_AMOUNT; // Size of the latest auto-scroll step
 
   // Touch event detection state
   let isTouching = false;
@@ -170,54 +918,176 @@ export function createSlowScroll(options = {}) {
   let touchEndHandler = null;
 
   // Mouse move detection state
-  let isMouseMoving = false;
   let mouseMoveHandler = null;
   let mouseMoveTimer = null;
 
-  // Overscroll detection state
-  let wasInOverscroll = false;
+  // Visibility detection state
+  let visibilityHandler = null;
+  let intersectionObserver = null;
+
+  // Hover and focus detection state
+  let hoverStartHandler = null;
+  let hoverEndHandler = null;
+  let focusInHandler = null;
+  let focusOutHandler = null;
+
+  // Interactive mode state (drag and wheel)
+  let interactiveListeners = []; // [target, type, handler, options] while interactive
+  let dragListeners = []; // Same, for the pointer moves of the drag in progress
+  let dragState = null; // { origin, pointerStart, samples, isDragging } while pressed
+  let inertiaTransition = null; // Speed transition started by a release or a flick
+  let isClickSuppressed = false; // Swallow the click that ends a drag
+  let replacedInteractionStyles = []; // [element, property, inline value] set while interactive
+
+  // Reduced motion detection state
+  let reducedMotionQuery = null;
+  let reducedMotionHandler = null;
+
+  // Duration mode state
+  let durationRemaining = null; // Time in ms left to finish the current traversal
+
+  // Layout change detection state
+  let resizeObserver = null;
+  let mutationObserver = null;
+  let resizeHandler = null;
+  let nearEndWatchers = []; // { threshold, callback, isArmed } registered by onNearEnd()
+
+  // Waypoint state
+  let waypoints = []; // Resolved stops sorted by offset: { index, offset, dwell, element }
+  let activeWaypoint = null; // Waypoint being approached or dwelled at
+  let waypointPhase = null; // null (cruising), 'approaching' or 'dwelling'
+  let dwellRemaining = 0; // Time in ms left to wait at the active waypoint
+
+  // Speed zone state
+  let zones = []; // Resolved sections along the main axis: { start, end, speed }
+  let zoneFactor = 1; // Blended multiplier of the zones at the reference line
+
+  // Transform mode state: the scroll position the content is moved to
+  let virtualPosition = { x: 0, y: 0 }; // Normalized like native positions, kept across stop()
+
+  // animateTo() state
+  let scrollAnimation = null; // Active animation { from, to, duration, easing, elapsed, resolve }
+
+  // Two-axis mode state: per-axis stepping along the velocity vector
+  const axes = config.velocity
+    ? [
+        createAxis(false, config.velocity.x),
+        createAxis(true, config.velocity.y),
+      ]
+    : null;
+
+  // Loop mode state
+  let loopClones = []; // Cloned nodes appended to the content element
+  let loopPeriod = 0; // Distance after which the content repeats itself
+  let loopContent = null; // Element whose children are duplicated
+  let loopViewportSize = 0; // Visible size the clones were created for
+
+  /**
+   * Create the stepping state of one axis in two-axis mode
+   * @param {boolean} vertical - Whether this is the vertical axis
+   * @param {number} component - Velocity along this axis in pixels per second
+   */
+  function createAxis(vertical, component) {
+    return {
+      vertical,
+      ratio: speed === 0 ? 0 : component / speed, // Share of the vector's magnitude
+      sign: 1, // Flipped by bounce on this axis
+      direction: component < 0 ? -1 : 1,
+      stepProgress: 0,
+      isStopped: false, // Reached a boundary without bounce
+    };
+  }
 
   /**
    * Helper functions to abstract scrolling operations
+   * (along the main axis unless another axis is given). Positions are
+   * normalized to run from 0 at the scroll origin to getMaxScroll(),
+   * whatever the writing direction.
    */
   const scrollHelpers = {
     // Get current scroll position
-    getScrollPosition: () => {
+    getScrollPosition: (vertical = isVertical) => {
+      if (isTransformMode) {
+        return virtualPosition[vertical ? "y" : "x"];
+      }
+      let position;
       if (scrollContainer === window) {
-        return isVertical ? window.scrollY : window.scrollX;
+        position = vertical ? window.scrollY : window.scrollX;
       } else {
-        return isVertical
+        position = vertical
           ? scrollContainer.scrollTop
           : scrollContainer.scrollLeft;
       }
+      return position * getAxisSign(vertical);
+    },
+
+    // Jump to a normalized scroll position
+    scrollTo: (position, vertical = isVertical) => {
+      if (isTransformMode) {
+        moveVirtualPosition(position, vertical);
+        return;
+      }
+      const nativePosition = position * getAxisSign(vertical);
+      if (scrollContainer === window) {
+        if (vertical) {
+          window.scrollTo(window.scrollX, nativePosition);
+        } else {
+          window.scrollTo(nativePosition, window.scrollY);
+        }
+      } else {
+        if (vertical) {
+          scrollContainer.scrollTop = nativePosition;
+        } else {
+          scrollContainer.scrollLeft = nativePosition;
+        }
+      }
     },
 
     // Get maximum scroll position
-    getMaxScroll: () => {
+    getMaxScroll: (vertical = isVertical) => {
+      // The content moves within the frame in transform mode
+      if (isTransformMode) {
+        return Math.max(
+          0,
+          vertical
+            ? transformTarget.scrollHeight - scrollContainer.clientHeight
+            : transformTarget.scrollWidth - scrollContainer.clientWidth
+        );
+      }
       if (scrollContainer === window) {
-        return isVertical
+        return vertical
           ? document.documentElement.scrollHeight - window.innerHeight
           : document.documentElement.scrollWidth - window.innerWidth;
       } else {
-        return isVertical
+        return vertical
           ? scrollContainer.scrollHeight - scrollContainer.clientHeight
           : scrollContainer.scrollWidth - scrollContainer.clientWidth;
       }
     },
 
     // Perform scroll
-    scrollBy: (amount) => {
+    scrollBy: (amount, vertical = isVertical) => {
+      if (isTransformMode) {
+        moveVirtualPosition(
+          virtualPosition[vertical ? "y" : "x"] + amount,
+          vertical
+        );
+        rememberScrollPosition();
+        return;
+      }
+
       // Mark as auto-scrolling to distinguish from user scroll
       isAutoScrolling = true;
+      amount *= getAxisSign(vertical);
 
       if (scrollContainer === window) {
-        if (isVertical) {
+        if (vertical) {
           window.scrollBy(0, amount);
         } else {
           window.scrollBy(amount, 0);
         }
       } else {
-        if (isVertical) {
+        if (vertical) {
           scrollContainer.scrollTop += amount;
         } else {
           scrollContainer.scrollLeft += amount;
@@ -225,498 +1095,3734 @@ export function createSlowScroll(options = {}) {
       }
 
       // Update last scroll position immediately after scrolling
-      lastScrollPosition = scrollHelpers.getScrollPosition();
+      rememberScrollPosition();
 
       // Reset flag on next animation frame to ensure scroll event has fired
-      requestAnimationFrame(() => {
+      requestFrameCallback(() => {
         isAutoScrolling = false;
       });
     },
   };
 
   /**
-   * Start the smooth scrolling
+   * Move the content to a scroll position in transform mode, clamped to
+   * the bounds like native scrolling
+   * @param {number} position - Normalized scroll position
+   * @param {boolean} vertical - Axis
    */
-  function start() {
-    // If speed is 0, don't start
-    if (config.speed === 0) {
-      return;
-    }
+  function moveVirtualPosition(position, vertical) {
+    const maxScroll = scrollHelpers.getMaxScroll(vertical);
+    virtualPosition[vertical ? "y" : "x"] = Math.max(
+      0,
+      Math.min(position, maxScroll)
+    );
+    setTransform();
+  }
 
-    // Already running
-    if (animationId !== null) {
-      return;
+  /**
+   * Write the transform of the interpolation target: the interpolation
+   * offset, plus the scroll position itself in transform mode
+   * @param {number} [offsetX=0] - Horizontal offset in pixels
+   * @param {number} [offsetY=0] - Vertical offset in pixels
+   */
+  function setTransform(offsetX = 0, offsetY = 0) {
+    if (isTransformMode) {
+      offsetX -= virtualPosition.x * getAxisSign(false);
+      offsetY -= virtualPosition.y * getAxisSign(true);
     }
+    const format = (offset) => (offset === 0 ? "0" : `${offset}px`);
+    transformTarget.style.transform = `translate3d(${format(offsetX)}, ${format(
+      offsetY
+    )}, 0)`;
+  }
 
-    // Get scroll container (target)
-    if (typeof config.target === "string") {
-      targetElement = document.querySelector(config.target);
-      if (!targetElement) {
-        throw new Error(
-          `SmoothScroll: Element not found for selector "${config.target}"`
-        );
-      }
-    } else {
-      targetElement = config.target;
+  /**
+   * Remember the scroll position so that user scrolling can be told apart
+   */
+  function rememberScrollPosition() {
+    lastScrollPosition = scrollHelpers.getScrollPosition();
+    if (axes) {
+      lastCrossScrollPosition = scrollHelpers.getScrollPosition(!isVertical);
     }
+  }
 
-    // Determine scroll container
-    // Check if target element is scrollable
-    const style = window.getComputedStyle(targetElement);
-    const overflowY = style.overflowY;
-    const overflowX = style.overflowX;
-
-    const isScrollableY =
-      (overflowY === "auto" || overflowY === "scroll") &&
-      targetElement.scrollHeight > targetElement.clientHeight;
-    const isScrollableX =
-      (overflowX === "auto" || overflowX === "scroll") &&
-      targetElement.scrollWidth > targetElement.clientWidth;
+  /**
+   * Signed speed the scroller is heading for, including bounce reversals
+   * and speed factors
+   */
+  function getTargetSpeed() {
+    let scale = 1;
+    speedFactors.forEach((factor) => {
+      scale *= factor;
+    });
+    return config.speed * bounceSign * scale;
+  }
 
-    if ((isVertical && isScrollableY) || (isHorizontal && isScrollableX)) {
-      // Target element itself is scrollable
-      scrollContainer = targetElement;
+  /**
+   * Set a named multiplier for the target speed and ease towards the result
+   * @param {string} name - Factor name
+   * @param {number} factor - Multiplier (1 removes the factor)
+   * @param {Object} [options] - Transition options
+   * @param {number} [options.duration] - Time in ms to ease to the new speed (defaults to transitionDuration)
+   * @param {string|Function} [options.easing] - Easing for the transition (defaults to easing)
+   */
+  function setSpeedFactor(name, factor, options = {}) {
+    if (factor === 1) {
+      speedFactors.delete(name);
     } else {
-      // Use window scrolling
-      scrollContainer = window;
+      speedFactors.set(name, factor);
     }
 
-    // Get interpolation target
-    if (config.interpolationTarget) {
-      // User specified interpolation target
-      if (typeof config.interpolationTarget === "string") {
-        transformTarget = document.querySelector(config.interpolationTarget);
-        if (!transformTarget) {
-          throw new Error(
-            `SmoothScroll: Interpolation target not found for selector "${config.interpolationTarget}"`
-          );
-        }
-      } else {
-        transformTarget = config.interpolationTarget;
+    if (isStarted && !isStopping) {
+      transitionSpeed(
+        getTargetSpeed(),
+        options.duration ?? config.transitionDuration,
+        options.easing ?? config.easing
+      );
+    }
+  }
+
+  /**
+   * Store a new configured speed and notify "speedchange" listeners
+   * @param {number} newSpeed - Speed in pixels per second (can be 0 or negative)
+   */
+  function updateConfigSpeed(newSpeed) {
+    const previousSpeed = config.speed;
+    const absSpeed = Math.abs(newSpeed);
+    config.speed = newSpeed;
+    config.absSpeed = absSpeed;
+    config.fps = absSpeed / SCROLL_AMOUNT;
+    if (axes) {
+      config.velocity = {
+        x: newSpeed * axes[0].ratio,
+        y: newSpeed * axes[1].ratio,
+      };
+    }
+
+    if (newSpeed !== previousSpeed) {
+      emitter.emit("speedchange", { speed: newSpeed, previousSpeed });
+    }
+  }
+
+  /**
+   * Direction of travel along an axis (1 or -1)
+   * @param {boolean} [vertical] - Axis (defaults to the main axis)
+   */
+  function getAxisDirection(vertical = isVertical) {
+    if (axes) {
+      return axes[vertical ? 1 : 0].direction;
+    }
+    return scrollDirection;
+  }
+
+  /**
+   * Distance left in the current direction before the boundary
+   * (or before the content repeats in loop mode)
+   * @param {boolean} [vertical] - Axis (defaults to the main axis)
+   */
+  function getRemainingDistance(vertical = isVertical) {
+    const direction = getAxisDirection(vertical);
+    const position = scrollHelpers.getScrollPosition(vertical);
+    if (loopPeriod > 0) {
+      const loopPosition = ((position % loopPeriod) + loopPeriod) % loopPeriod;
+      return direction === 1 ? loopPeriod - loopPosition : loopPosition;
+    }
+    const maxScroll = scrollHelpers.getMaxScroll(vertical);
+    return Math.max(0, direction === 1 ? maxScroll - position : position);
+  }
+
+  /**
+   * Derive the speed from the duration option: the remaining distance
+   * divided by the remaining time
+   * @param {boolean} resetSchedule - Start a new traversal (start, bounce, loop)
+   *   instead of keeping the current schedule (resize)
+   */
+  function applyDuration(resetSchedule) {
+    if (config.duration === null || !scrollContainer) {
+      return;
+    }
+
+    const distance = getRemainingDistance();
+    if (resetSchedule) {
+      // The full traversal takes duration, so a partial one takes its share
+      const fullDistance =
+        loopPeriod > 0 ? loopPeriod : scrollHelpers.getMaxScroll();
+      durationRemaining =
+        fullDistance > 0 ? (config.duration * distance) / fullDistance : 0;
+    }
+
+    // Out of time: keep the current speed until the boundary
+    if (!(durationRemaining > 0)) {
+      return;
+    }
+
+    const sign = config.speed < 0 ? -1 : 1;
+    updateConfigSpeed((sign * distance * 1000) / durationRemaining);
+
+    if (isStarted && !isStopping) {
+      transitionSpeed(getTargetSpeed(), 0, config.easing);
+    }
+  }
+
+  /**
+   * Whether transform interpolation is currently applied
+   */
+  function isInterpolating() {
+    return config.interpolation && !isInterpolationSuppressed;
+  }
+
+  /**
+   * Notify callback and listeners of a new scroll direction
+   */
+  function notifyDirectionChange() {
+    // Each axis reports its own direction in two-axis mode
+    if (axes) {
+      return;
+    }
+
+    const direction = getDirectionName(scrollDirection);
+    if (config.onDirectionChange) {
+      config.onDirectionChange(direction);
+    }
+    emitter.emit("directionchange", { direction });
+  }
+
+  /**
+   * Add a holder to a pause reason, emitting "pause" when the scroller
+   * goes from running to paused
+   * @param {string} reason - Pause reason
+   */
+  function addPauseReason(reason) {
+    pauseReasons.set(reason, (pauseReasons.get(reason) ?? 0) + 1);
+    if (pauseReasons.get(reason) === 1 && isCollectingStats()) {
+      statsCollector.pauseStart(reason);
+    }
+    if (pauseReasons.size === 1 && pauseReasons.get(reason) === 1) {
+      emitter.emit("pause", { reason });
+    }
+  }
+
+  /**
+   * Release a holder of a pause reason, emitting "resume" and restarting
+   * the animation loop once no reason is left
+   * @param {string} reason - Pause reason
+   */
+  function removePauseReason(reason) {
+    const count = pauseReasons.get(reason);
+    if (!count) {
+      return;
+    }
+
+    if (count > 1) {
+      pauseReasons.set(reason, count - 1);
+      return;
+    }
+
+    pauseReasons.delete(reason);
+    statsCollector.pauseEnd(reason);
+    if (pauseReasons.size === 0) {
+      // Don't let the paused time count as elapsed
+      lastFrameTime = null;
+      emitter.emit("resume", { reason });
+      if (isStarted) {
+        requestFrame();
+      }
+    } else if (
+      isStarted &&
+      pauseReasons.size === 1 &&
+      pauseReasons.has("overscroll")
+    ) {
+      // Overscroll is only cleared by scrollStep(), which must poll again
+      requestFrame();
+    }
+  }
+
+  /**
+   * Line the step accumulator up with the group clock (phase lock),
+   * so members at the same speed step on the same frames
+   * @param {number} currentTime - Frame timestamp
+   */
+  function alignPhase(currentTime) {
+    const phase = group?.getPhase(Math.abs(getTargetSpeed()), currentTime);
+    if (phase !== undefined && phase !== null) {
+      stepProgress = phase * scrollDirection;
+    }
+  }
+
+  /**
+   * Switch a single-holder pause reason on or off
+   * @param {string} reason - Built-in pause reason (e.g. 'touch', 'hover' or 'reduced-motion')
+   * @param {boolean} active - Whether the reason currently applies
+   */
+  function setPauseReason(reason, active) {
+    if (active === pauseReasons.has(reason)) {
+      return;
+    }
+
+    if (active) {
+      addPauseReason(reason);
+    } else {
+      removePauseReason(reason);
+    }
+  }
+
+  /**
+   * Emit a throttled "progress" event with the current position
+   * @param {number} currentTime - Frame timestamp
+   */
+  function emitProgress(currentTime) {
+    if (!emitter.has("progress")) {
+      return;
+    }
+    if (
+      lastProgressTime !== null &&
+      currentTime - lastProgressTime < config.progressInterval
+    ) {
+      return;
+    }
+    lastProgressTime = currentTime;
+
+    emitter.emit("progress", measureProgress());
+  }
+
+  /**
+   * Report the statistics every statsInterval to onStats, "stats"
+   * listeners and the overlay
+   * @param {number} currentTime - Frame timestamp
+   */
+  function emitStats(currentTime) {
+    if (!isCollectingStats()) {
+      return;
+    }
+    if (lastStatsTime === null) {
+      lastStatsTime = currentTime;
+      return;
+    }
+    if (currentTime - lastStatsTime < config.statsInterval) {
+      return;
+    }
+    lastStatsTime = currentTime;
+
+    const stats = getStats();
+    if (config.onStats) {
+      config.onStats(stats);
+    }
+    emitter.emit("stats", stats);
+    updateStatsOverlay(stats);
+  }
+
+  /**
+   * Add the statistics overlay to the page
+   */
+  function showStatsOverlay() {
+    if (statsOverlayElement || !document.body) {
+      return;
+    }
+
+    statsOverlayElement = document.createElement("div");
+    statsOverlayElement.setAttribute(STATS_OVERLAY_ATTRIBUTE, "");
+    statsOverlayElement.setAttribute("aria-hidden", "true");
+    Object.assign(statsOverlayElement.style, {
+      position: "fixed",
+      right: "8px",
+      bottom: "8px",
+      zIndex: "2147483647",
+      padding: "6px 8px",
+      background: "rgba(0, 0, 0, 0.75)",
+      color: "#fff",
+      font: "11px/1.4 monospace",
+      whiteSpace: "pre",
+      pointerEvents: "none",
+    });
+    document.body.appendChild(statsOverlayElement);
+    updateStatsOverlay(getStats());
+  }
+
+  /**
+   * Show the latest statistics in the overlay
+   * @param {Object} stats - Statistics from getStats()
+   */
+  function updateStatsOverlay(stats) {
+    if (!statsOverlayElement) {
+      return;
+    }
+
+    const pausedTime = Object.values(stats.pausedTime).reduce(
+      (total, time) => total + time,
+      0
+    );
+    statsOverlayElement.textContent = [
+      `${stats.effectiveSpeed.toFixed(1)} / ${stats.requestedSpeed} px/s`,
+      `steps ${stats.steps}  interpolated ${stats.interpolatedFrames}/${stats.frames}`,
+      `long ${stats.longFrames}  dropped ${stats.droppedFrames}`,
+      `paused ${(pausedTime / 1000).toFixed(1)}s  overscroll ${
+        stats.overscrolls
+      }`,
+    ].join("\n");
+  }
+
+  /**
+   * Remove the statistics overlay
+   */
+  function hideStatsOverlay() {
+    if (statsOverlayElement) {
+      statsOverlayElement.remove();
+      statsOverlayElement = null;
+    }
+  }
+
+  /**
+   * Report a storage error once, since saves repeat while scrolling
+   * @param {string} message - What failed
+   * @param {Error} error - Error thrown by the storage
+   */
+  function warnPersistError(message, error) {
+    if (!hasPersistError) {
+      hasPersistError = true;
+      console.warn(`SmoothScroll: ${message}`, error);
+    }
+  }
+
+  /**
+   * Read the state saved under the persist key
+   * @returns {Object|null} { position, direction, speed, velocity, signs, status }, or null if none
+   */
+  function readPersistedState() {
+    const storage =
+      config.persist && resolvePersistStorage(config.persistStorage, window);
+    if (!storage) {
+      return null;
+    }
+
+    try {
+      const value = storage.getItem(config.persist);
+      const state = value ? JSON.parse(value) : null;
+      return isPersistedState(state) ? state : null;
+    } catch (error) {
+      warnPersistError("Could not read the persisted state.", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the position, direction, speed and state under the persist key
+   * @param {string} [status] - State to save (defaults to the current one)
+   */
+  function savePersistedState(status) {
+    const storage =
+      config.persist && resolvePersistStorage(config.persistStorage, window);
+    if (!storage || !scrollContainer || isDestroyed) {
+      return;
+    }
+
+    // Only pause() is restored; the other reasons are re-detected
+    const state = {
+      position: {
+        x: scrollHelpers.getScrollPosition(false),
+        y: scrollHelpers.getScrollPosition(true),
+      },
+      direction: scrollDirection,
+      speed: config.speed,
+      velocity: config.velocity,
+      signs: axes ? axes.map((axis) => axis.sign) : null,
+      status: status ?? (pauseReasons.has("manual") ? "paused" : "running"),
+    };
+
+    try {
+      storage.setItem(config.persist, JSON.stringify(state));
+    } catch (error) {
+      warnPersistError("Could not save the persisted state.", error);
+    }
+  }
+
+  /**
+   * Save the persisted state every PERSIST_INTERVAL while scrolling
+   * @param {number} currentTime - Frame timestamp
+   */
+  function persistOnFrame(currentTime) {
+    if (!config.persist) {
+      return;
+    }
+    if (
+      lastPersistTime !== null &&
+      currentTime - lastPersistTime < PERSIST_INTERVAL
+    ) {
+      return;
+    }
+    lastPersistTime = currentTime;
+    savePersistedState();
+  }
+
+  /**
+   * Apply the saved speed (before start() checks it)
+   * @param {Object} state - State from readPersistedState()
+   */
+  function restorePersistedSpeed(state) {
+    // Duration mode derives the speed from the content instead
+    if (config.duration !== null) {
+      return;
+    }
+
+    if (axes && isVelocityVector(state.velocity)) {
+      const magnitude = Math.hypot(state.velocity.x, state.velocity.y);
+      if (magnitude > 0) {
+        axes[0].ratio = state.velocity.x / magnitude;
+        axes[1].ratio = state.velocity.y / magnitude;
+      }
+    }
+    updateConfigSpeed(state.speed);
+  }
+
+  /**
+   * Jump to the saved position and head in the saved direction
+   * (once the scroll container is bound)
+   * @param {Object} state - State from readPersistedState()
+   */
+  function restorePersistedPosition(state) {
+    if (axes) {
+      [false, true].forEach((vertical, index) => {
+        const position = state.position[vertical ? "y" : "x"];
+        scrollHelpers.scrollBy(
+          position - scrollHelpers.getScrollPosition(vertical),
+          vertical
+        );
+        if (state.signs?.[index] === 1 || state.signs?.[index] === -1) {
+          axes[index].sign = state.signs[index];
+        }
+      });
+      return;
+    }
+
+    const position = state.position[isVertical ? "y" : "x"];
+    scrollHelpers.scrollBy(position - scrollHelpers.getScrollPosition());
+
+    // Continue a bounce in the direction it was heading
+    if (shouldBounce() && config.speed !== 0) {
+      bounceSign = state.direction === Math.sign(config.speed) ? 1 : -1;
+      scrollDirection = state.direction;
+    }
+  }
+
+  /**
+   * Save the state when the page is left or reloaded (persist)
+   */
+  function attachPersistListener() {
+    if (!config.persist) {
+      return;
+    }
+
+    pageHideHandler = function handlePageHide() {
+      savePersistedState();
+    };
+    window.addEventListener("pagehide", pageHideHandler);
+  }
+
+  /**
+   * Stop saving the state when the page is left
+   */
+  function detachPersistListener() {
+    if (pageHideHandler) {
+      window.removeEventListener("pagehide", pageHideHandler);
+      pageHideHandler = null;
+    }
+  }
+
+  /**
+   * Measure the position along the main axis (within one period in loop mode)
+   * @returns {Object} { position, maxScroll, progress } with progress from 0 to 1
+   */
+  function measureProgress() {
+    const position = scrollHelpers.getScrollPosition();
+    const maxScroll =
+      loopPeriod > 0 ? loopPeriod : scrollHelpers.getMaxScroll();
+    const loopPosition = loopPeriod > 0 ? position % loopPeriod : position;
+    return {
+      position: loopPosition,
+      maxScroll,
+      progress:
+        maxScroll > 0 ? Math.min(1, Math.max(0, loopPosition / maxScroll)) : 0,
+    };
+  }
+
+  /**
+   * Follow the sign of the applied speed, notifying when it flips
+   */
+  function syncDirection() {
+    const direction = Math.sign(currentSpeed);
+    if (direction !== 0 && direction !== scrollDirection) {
+      scrollDirection = direction;
+      notifyDirectionChange();
+    }
+  }
+
+  /**
+   * Ease the applied speed towards a new value
+   * @param {number} to - Signed target speed in pixels per second
+   * @param {number} duration - Transition time in ms (0 = immediate)
+   * @param {string|Function} easing - Easing name or function
+   * @param {Function} [onComplete] - Called once the target speed is reached
+   */
+  function transitionSpeed(to, duration, easing, onComplete = null) {
+    if (!(duration > 0)) {
+      speedTransition = null;
+      currentSpeed = to;
+      syncDirection();
+      if (onComplete) {
+        onComplete();
+      }
+      return;
+    }
+
+    speedTransition = {
+      from: currentSpeed,
+      to,
+      duration,
+      easing: resolveEasing(easing),
+      elapsed: 0,
+      onComplete,
+    };
+  }
+
+  /**
+   * Advance the active speed transition
+   * @param {number} elapsed - Time in ms since the previous frame
+   */
+  function updateSpeedTransition(elapsed) {
+    if (!speedTransition) {
+      return;
+    }
+
+    const transition = speedTransition;
+    transition.elapsed += elapsed;
+    const progress = Math.min(1, transition.elapsed / transition.duration);
+    currentSpeed =
+      transition.from +
+      (transition.to - transition.from) * transition.easing(progress);
+    syncDirection();
+
+    if (progress >= 1) {
+      speedTransition = null;
+      if (transition.onComplete) {
+        transition.onComplete();
+      }
+    }
+  }
+
+  /**
+   * Reverse direction at a boundary (bounce), keeping any speed transition
+   */
+  function reverseDirection() {
+    bounceSign *= -1;
+    currentSpeed *= -1;
+    if (speedTransition) {
+      speedTransition.from *= -1;
+      speedTransition.to *= -1;
+    }
+    scrollDirection *= -1;
+    notifyDirectionChange();
+
+    // A new traversal begins in duration mode
+    applyDuration(true);
+  }
+
+  /**
+   * Duplicate the content so that scrolling one full period further
+   * shows exactly what was visible before. Enough copies are added to
+   * fill the viewport even when the original content is shorter.
+   * @param {HTMLElement} contentElement - Element whose children are repeated
+   */
+  function setupLoop(contentElement) {
+    loopContent = contentElement;
+    const originals = Array.from(contentElement.children);
+    if (originals.length === 0) {
+      console.warn(
+        "SmoothScroll: Loop mode requires the content to have child elements."
+      );
+      return;
+    }
+
+    // Append one set of clones and measure how far it is offset from the originals
+    originals.forEach((node) => {
+      const clone = createLoopClone(node);
+      contentElement.appendChild(clone);
+      loopClones.push(clone);
+    });
+
+    const originalRect = originals[0].getBoundingClientRect();
+    const cloneRect = loopClones[0].getBoundingClientRect();
+    // Clones follow the originals towards the left in right-to-left layouts
+    loopPeriod = Math.abs(
+      isVertical
+        ? cloneRect.top - originalRect.top
+        : cloneRect.left - originalRect.left
+    );
+
+    if (loopPeriod <= 0) {
+      console.warn(
+        `SmoothScroll: Loop mode could not measure the content. Lay out the children ${
+          isVertical ? "vertically" : "horizontally"
+        }.`
+      );
+      teardownLoop();
+      return;
+    }
+
+    // The visible area decides how many copies are needed for a seamless wrap
+    loopViewportSize = getLoopViewportSize();
+    const cloneSets = Math.max(1, Math.ceil(loopViewportSize / loopPeriod));
+    for (let i = 1; i < cloneSets; i++) {
+      originals.forEach((node) => {
+        const clone = createLoopClone(node);
+        contentElement.appendChild(clone);
+        loopClones.push(clone);
+      });
+    }
+  }
+
+  /**
+   * Size of the area the looped content is seen through
+   */
+  function getLoopViewportSize() {
+    const style = window.getComputedStyle(targetElement);
+    const overflow = isVertical ? style.overflowY : style.overflowX;
+    const isOwnViewport =
+      isTransformMode || overflow === "auto" || overflow === "scroll";
+    if (isOwnViewport) {
+      return isVertical
+        ? targetElement.clientHeight
+        : targetElement.clientWidth;
+    }
+    return isVertical ? window.innerHeight : window.innerWidth;
+  }
+
+  /**
+   * Remove the content duplicated by setupLoop()
+   */
+  function teardownLoop() {
+    loopClones.forEach((clone) => clone.remove());
+    loopClones = [];
+    loopPeriod = 0;
+  }
+
+  /**
+   * Duplicate the content again when it changed, or when the period or
+   * the viewport no longer match the clones
+   * @param {boolean} contentChanged - Whether original children were added or removed
+   */
+  function refreshLoop(contentChanged) {
+    if (!loopContent) {
+      return;
+    }
+
+    const firstOriginal = Array.from(loopContent.children).find(
+      (node) => !node.hasAttribute(LOOP_CLONE_ATTRIBUTE)
+    );
+    if (!contentChanged && firstOriginal && loopClones.length > 0) {
+      const originalRect = firstOriginal.getBoundingClientRect();
+      const cloneRect = loopClones[0].getBoundingClientRect();
+      const period = Math.abs(
+        isVertical
+          ? cloneRect.top - originalRect.top
+          : cloneRect.left - originalRect.left
+      );
+      if (period === loopPeriod && getLoopViewportSize() === loopViewportSize) {
+        return;
+      }
+    }
+
+    teardownLoop();
+    setupLoop(loopContent);
+
+    // Stay within the first period
+    const position = scrollHelpers.getScrollPosition();
+    if (loopPeriod > 0 && position >= loopPeriod) {
+      scrollHelpers.scrollBy(-(position - (position % loopPeriod)));
+    }
+  }
+
+  /**
+   * Decide which container scrolls: the target element when it overflows
+   * along the scroll axis, otherwise the window
+   * @returns {HTMLElement|Window} Scroll container
+   */
+  function resolveScrollContainer() {
+    // The target is the frame the content moves in
+    if (isTransformMode) {
+      return targetElement;
+    }
+
+    const style = window.getComputedStyle(targetElement);
+    const overflowY = style.overflowY;
+    const overflowX = style.overflowX;
+
+    const isScrollableY =
+      (overflowY === "auto" || overflowY === "scroll") &&
+      targetElement.scrollHeight > targetElement.clientHeight;
+    const isScrollableX =
+      (overflowX === "auto" || overflowX === "scroll") &&
+      targetElement.scrollWidth > targetElement.clientWidth;
+
+    // Either moving axis can make the target scrollable in two-axis mode
+    const scrollsY = axes ? axes[1].ratio !== 0 : isVertical;
+    const scrollsX = axes ? axes[0].ratio !== 0 : isHorizontal;
+
+    if ((scrollsY && isScrollableY) || (scrollsX && isScrollableX)) {
+      // Target element itself is scrollable
+      return targetElement;
+    }
+    // Use window scrolling
+    return window;
+  }
+
+  /**
+   * Point scrolling and interpolation at the resolved container
+   * @param {HTMLElement|Window} container - Scroll container
+   */
+  function bindScrollContainer(container) {
+    restoreScrollStyles();
+    scrollContainer = container;
+    overrideScrollStyles();
+
+    // The root element decides the writing direction of the window
+    scrollAxisSigns = getScrollAxisSigns(
+      window.getComputedStyle(
+        container === window ? document.documentElement : container
+      )
+    );
+
+    // Get interpolation target
+    if (customTransformTarget) {
+      // User specified interpolation target
+      transformTarget = customTransformTarget;
+    } else {
+      // Default: same as scroll container
+      transformTarget =
+        scrollContainer === window ? targetElement : scrollContainer;
+    }
+
+    // Apply performance CSS properties if interpolation is enabled
+    if ((config.interpolation || isTransformMode) && transformTarget) {
+      transformTarget.style.willChange = "transform";
+      transformTarget.style.backfaceVisibility = "hidden";
+    }
+
+    rememberScrollPosition();
+  }
+
+  /**
+   * Turn off smooth scrolling and scroll snapping on the container while
+   * auto-scrolling: both would animate or snap back every 1px step.
+   * The root element decides them for the window.
+   */
+  function overrideScrollStyles() {
+    if (isTransformMode) {
+      return;
+    }
+    const element =
+      scrollContainer === window ? document.documentElement : scrollContainer;
+    const style = window.getComputedStyle(element);
+
+    const overrides = [];
+    if (style.scrollBehavior === "smooth") {
+      overrides.push(["scrollBehavior", "auto"]);
+    }
+    if (style.scrollSnapType && style.scrollSnapType !== "none") {
+      overrides.push(["scrollSnapType", "none"]);
+    }
+
+    overrides.forEach(([property, value]) => {
+      overriddenStyles.push([element, property, element.style[property]]);
+      element.style[property] = value;
+    });
+  }
+
+  /**
+   * Put back the inline styles replaced by overrideScrollStyles()
+   */
+  function restoreScrollStyles() {
+    overriddenStyles.forEach(([element, property, value]) => {
+      element.style[property] = value;
+    });
+    overriddenStyles = [];
+  }
+
+  /**
+   * Reset the transform and the performance CSS properties of the
+   * interpolation target (if interpolation is enabled)
+   */
+  function resetTransformStyles() {
+    // Transform mode keeps the content at its scroll position
+    if (transformTarget && (config.interpolation || isTransformMode)) {
+      setTransform();
+      transformTarget.style.willChange = "auto";
+      transformTarget.style.backfaceVisibility = "visible";
+    }
+  }
+
+  /**
+   * Re-resolve everything measured from the layout after the content
+   * or the viewport changed size
+   * @param {boolean} [contentChanged=false] - Whether children were added or removed
+   */
+  function handleLayoutChange(contentChanged = false) {
+    if (!isStarted) {
+      return;
+    }
+
+    if (config.loop) {
+      refreshLoop(contentChanged);
+    }
+
+    // Content that shrank moves back within the bounds, like native scrolling
+    if (isTransformMode) {
+      [false, true].forEach((vertical) =>
+        scrollHelpers.scrollTo(
+          scrollHelpers.getScrollPosition(vertical),
+          vertical
+        )
+      );
+    }
+
+    // Content that became (or stopped being) scrollable switches containers
+    const container = resolveScrollContainer();
+    if (container !== scrollContainer) {
+      detachListeners();
+      CONTAINER_PAUSE_REASONS.forEach((reason) =>
+        setPauseReason(reason, false)
+      );
+
+      resetTransformStyles();
+      stepProgress = 0;
+
+      bindScrollContainer(container);
+      attachListeners();
+      observeResizeTargets();
+    }
+
+    // Measure waypoints again, keeping the one being approached or dwelled at
+    if (waypoints.length > 0 || config.waypoints || config.snap) {
+      const activeIndex = activeWaypoint?.index;
+      resolveWaypoints();
+      if (activeWaypoint) {
+        activeWaypoint =
+          waypoints.find((waypoint) => waypoint.index === activeIndex) ??
+          activeWaypoint;
+      }
+    }
+
+    resolveZones();
+    applyDuration(false);
+  }
+
+  /**
+   * Watch the container, the content and its children for size changes
+   */
+  function observeResizeTargets() {
+    if (!resizeObserver) {
+      return;
+    }
+
+    resizeObserver.disconnect();
+    const content = customTransformTarget ?? targetElement;
+    const elements = new Set([
+      scrollContainer === window ? document.documentElement : scrollContainer,
+      targetElement,
+      content,
+      // A scroll container keeps its size when its content grows
+      ...Array.from(content.children).filter(
+        (node) => !node.hasAttribute(LOOP_CLONE_ATTRIBUTE)
+      ),
+    ]);
+    elements.forEach((element) => resizeObserver.observe(element));
+  }
+
+  /**
+   * Start watching for layout changes (ResizeObserver, MutationObserver
+   * and window resize, where available)
+   */
+  function observeLayout() {
+    resizeHandler = function handleResize() {
+      handleLayoutChange();
+    };
+    window.addEventListener("resize", resizeHandler);
+
+    if (typeof window.ResizeObserver !== "undefined") {
+      resizeObserver = new window.ResizeObserver(resizeHandler);
+      observeResizeTargets();
+    }
+
+    if (typeof window.MutationObserver !== "undefined") {
+      mutationObserver = new window.MutationObserver((records) => {
+        // Loop clones being added or removed are our own doing
+        const isContentChange = records.some(
+          (record) =>
+            !record.target.closest?.(`[${LOOP_CLONE_ATTRIBUTE}]`) &&
+            [...record.addedNodes, ...record.removedNodes].some(
+              (node) => !node.hasAttribute?.(LOOP_CLONE_ATTRIBUTE)
+            )
+        );
+        if (isContentChange) {
+          observeResizeTargets();
+          handleLayoutChange(true);
+        }
+      });
+
+      const content = customTransformTarget ?? targetElement;
+      mutationObserver.observe(targetElement, {
+        childList: true,
+        subtree: true,
+      });
+      if (!targetElement.contains(content)) {
+        mutationObserver.observe(content, { childList: true, subtree: true });
+      }
+    }
+  }
+
+  /**
+   * Stop watching for layout changes
+   */
+  function unobserveLayout() {
+    if (resizeObserver) {
+      resizeObserver.disconnect();
+      resizeObserver = null;
+    }
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+      mutationObserver = null;
+    }
+    if (resizeHandler) {
+      window.removeEventListener("resize", resizeHandler);
+      resizeHandler = null;
+    }
+  }
+
+  /**
+   * Call onNearEnd() callbacks once the remaining distance drops below
+   * their threshold; they fire again after the distance grew back
+   * (e.g. more items were appended)
+   */
+  function checkNearEnd() {
+    if (nearEndWatchers.length === 0 || loopPeriod > 0) {
+      return;
+    }
+
+    const remaining = getRemainingDistance();
+    nearEndWatchers.forEach((watcher) => {
+      if (remaining > watcher.threshold) {
+        watcher.isArmed = true;
+      } else if (watcher.isArmed) {
+        watcher.isArmed = false;
+        watcher.callback({
+          remaining,
+          direction: getDirectionName(scrollDirection),
+        });
+      }
+    });
+  }
+
+  /**
+   * Measure where an element starts along the scroll axis, in scroll position units
+   * @param {HTMLElement} element - Element inside the scroll container
+   * @returns {number} Scroll position that aligns the element with the viewport start
+   */
+  function getElementOffset(element) {
+    const rect = element.getBoundingClientRect();
+    const position = scrollHelpers.getScrollPosition();
+    const viewport =
+      scrollContainer === window
+        ? {
+            top: 0,
+            left: 0,
+            bottom: window.innerHeight,
+            right: document.documentElement.clientWidth,
+          }
+        : scrollContainer.getBoundingClientRect();
+
+    // Measure from the scroll origin (the right or bottom edge when reversed)
+    if (getAxisSign() === -1) {
+      return (
+        (isVertical
+          ? viewport.bottom - rect.bottom
+          : viewport.right - rect.right) + position
+      );
+    }
+    return (
+      (isVertical ? rect.top - viewport.top : rect.left - viewport.left) +
+      position
+    );
+  }
+
+  /**
+   * Resolve the waypoints option into whole-pixel offsets
+   */
+  function resolveWaypoints() {
+    waypoints = [];
+    if (!config.waypoints && !config.snap) {
+      return;
+    }
+
+    let entries = [];
+    if (typeof config.waypoints === "string") {
+      entries = Array.from(document.querySelectorAll(config.waypoints));
+    } else if (config.waypoints) {
+      entries = [...config.waypoints];
+    }
+    if (config.snap) {
+      entries.push(...getSnapPoints());
+    }
+    const limit = loopPeriod > 0 ? loopPeriod : scrollHelpers.getMaxScroll();
+
+    entries.forEach((entry, index) => {
+      const waypoint =
+        entry !== null && typeof entry === "object" && !entry.nodeType
+          ? entry
+          : { [typeof entry === "number" ? "offset" : "element"]: entry };
+
+      let element = waypoint.element ?? null;
+      if (typeof element === "string") {
+        element = document.querySelector(element);
+      }
+
+      // An explicit offset wins over the element's position (snap points)
+      let offset = waypoint.offset;
+      if (element && typeof offset !== "number") {
+        offset = getElementOffset(element);
+      }
+      if (typeof offset !== "number" || !Number.isFinite(offset)) {
+        console.warn(
+          `SmoothScroll: Waypoint ${index} has no valid offset or element and is ignored.`
+        );
+        return;
+      }
+
+      // Per-waypoint dwell, then the data attribute, then the default
+      const attributeDwell = element?.getAttribute?.(WAYPOINT_DWELL_ATTRIBUTE);
+      const dwell =
+        waypoint.dwell ??
+        (attributeDwell ? Number(attributeDwell) : config.waypointDwell);
+
+      waypoints.push({
+        index,
+        offset: Math.round(
+          loopPeriod > 0
+            ? ((offset % loopPeriod) + loopPeriod) % loopPeriod
+            : Math.min(Math.max(offset, 1), limit - 1) // Inside the boundaries
+        ),
+        dwell,
+        element,
+      });
+    });
+
+    waypoints.sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Find the CSS scroll snap points of the content for snap mode
+   * @returns {Object[]} Waypoint entries { offset, element }
+   */
+  function getSnapPoints() {
+    const content = customTransformTarget ?? targetElement;
+    const viewportSize =
+      scrollContainer === window
+        ? isVertical
+          ? window.innerHeight
+          : window.innerWidth
+        : isVertical
+        ? scrollContainer.clientHeight
+        : scrollContainer.clientWidth;
+
+    return Array.from(content.children)
+      .filter((element) => !element.hasAttribute(LOOP_CLONE_ATTRIBUTE))
+      .flatMap((element) => {
+        // "block inline" alignments, or one value for both axes
+        const [block, inline = block] = (
+          window.getComputedStyle(element).scrollSnapAlign ?? "none"
+        ).split(" ");
+        const align = isVertical ? block : inline;
+        if (!["start", "center", "end"].includes(align)) {
+          return [];
+        }
+
+        const rect = element.getBoundingClientRect();
+        const gap = viewportSize - (isVertical ? rect.height : rect.width);
+        const offset =
+          getElementOffset(element) -
+          (align === "center" ? gap / 2 : align === "end" ? gap : 0);
+        return [{ offset, element }];
+      });
+  }
+
+  /**
+   * Find the closest waypoint ahead in the current direction
+   * @returns {Object|null} { waypoint, distance } with distance in whole pixels
+   */
+  function getNextWaypoint() {
+    const position = scrollHelpers.getScrollPosition();
+    let next = null;
+
+    waypoints.forEach((waypoint) => {
+      let distance = (waypoint.offset - position) * scrollDirection;
+      if (loopPeriod > 0) {
+        distance = ((distance % loopPeriod) + loopPeriod) % loopPeriod;
+      }
+      // The waypoint just left sits at distance 0
+      if (distance >= 0.5 && (!next || distance < next.distance)) {
+        next = { waypoint, distance: Math.round(distance) };
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Come to rest exactly at a waypoint and start dwelling
+   * @param {Object} waypoint - Resolved waypoint
+   */
+  function arriveAtWaypoint(waypoint) {
+    activeWaypoint = waypoint;
+    waypointPhase = "dwelling";
+    dwellRemaining = waypoint.dwell;
+
+    speedFactors.set("waypoint", 0);
+    speedTransition = null;
+    currentSpeed = 0;
+    stepProgress = 0;
+
+    emitter.emit("waypointreach", {
+      index: waypoint.index,
+      offset: waypoint.offset,
+      element: waypoint.element,
+    });
+  }
+
+  /**
+   * Ease back into motion after dwelling at a waypoint
+   */
+  function leaveWaypoint() {
+    const waypoint = activeWaypoint;
+    activeWaypoint = null;
+    waypointPhase = null;
+
+    emitter.emit("waypointleave", {
+      index: waypoint.index,
+      offset: waypoint.offset,
+      element: waypoint.element,
+    });
+
+    speedFactors.delete("waypoint");
+    if (isStarted && !isStopping) {
+      transitionSpeed(
+        getTargetSpeed(),
+        config.waypointTransition,
+        config.easing
+      );
+    }
+  }
+
+  /**
+   * Forget the waypoint being approached or dwelled at, e.g. before
+   * jumping elsewhere with seek() or animateTo()
+   */
+  function releaseWaypoint() {
+    const waypoint = activeWaypoint;
+    const wasDwelling = waypointPhase === "dwelling";
+    activeWaypoint = null;
+    waypointPhase = null;
+    speedFactors.delete("waypoint");
+
+    if (wasDwelling) {
+      emitter.emit("waypointleave", {
+        index: waypoint.index,
+        offset: waypoint.offset,
+        element: waypoint.element,
+      });
+    }
+  }
+
+  /**
+   * Advance the waypoint state: count down the dwell time, and start
+   * easing out early enough to come to rest on the next waypoint
+   * @param {number} elapsed - Time in ms since the previous frame
+   */
+  function updateWaypoints(elapsed) {
+    if (waypoints.length === 0 || isStopping) {
+      return;
+    }
+
+    if (waypointPhase === "dwelling") {
+      dwellRemaining -= elapsed;
+      if (dwellRemaining <= 0) {
+        leaveWaypoint();
+      }
+      return;
+    }
+
+    const next = getNextWaypoint();
+    if (!next) {
+      return;
+    }
+
+    if (waypointPhase === "approaching") {
+      if (next.waypoint !== activeWaypoint) {
+        // The user scrolled past it: cruise on towards the next one
+        activeWaypoint = null;
+        waypointPhase = null;
+        speedFactors.delete("waypoint");
+        transitionSpeed(
+          getTargetSpeed(),
+          config.waypointTransition,
+          config.easing
+        );
+      } else if (currentSpeed === 0 && !speedTransition) {
+        // Eased out slightly short of the waypoint: close the gap
+        scrollHelpers.scrollBy(next.distance * scrollDirection);
+        arriveAtWaypoint(activeWaypoint);
+      }
+      return;
+    }
+
+    // Distance covered while easing from the current speed down to zero
+    const brakingDistance =
+      ((Math.abs(currentSpeed * zoneFactor) * config.waypointTransition) /
+        1000) *
+      getEasingCoastRatio(resolveEasing(config.easing));
+    const remaining =
+      next.distance - Math.abs(stepProgress) * config.scrollAmount;
+
+    if (remaining <= brakingDistance) {
+      activeWaypoint = next.waypoint;
+      waypointPhase = "approaching";
+      speedFactors.set("waypoint", 0);
+      transitionSpeed(0, config.waypointTransition, config.easing);
+    }
+  }
+
+  /**
+   * Resolve the zones option (or the [data-slow-scroll-speed] sections
+   * of the content) into ranges of scroll positions with a speed multiplier
+   */
+  function resolveZones() {
+    zones = [];
+    zoneFactor = 1;
+    if (config.zones === false || axes) {
+      return;
+    }
+
+    const content = customTransformTarget ?? targetElement;
+    let entries = config.zones ?? `[${ZONE_SPEED_ATTRIBUTE}]`;
+    if (typeof entries === "string") {
+      entries = Array.from(content.querySelectorAll(entries)).filter(
+        // Sections duplicated for loop mode repeat the originals
+        (element) => !element.closest?.(`[${LOOP_CLONE_ATTRIBUTE}]`)
+      );
+    }
+
+    entries.forEach((entry, index) => {
+      const zone =
+        entry !== null && typeof entry === "object" && !entry.nodeType
+          ? entry
+          : { element: entry };
+
+      let element = zone.element ?? null;
+      if (typeof element === "string") {
+        element = document.querySelector(element);
+      }
+
+      let start = zone.start;
+      let end = zone.end;
+      if (element) {
+        const rect = element.getBoundingClientRect();
+        start = getElementOffset(element);
+        end = start + (isVertical ? rect.height : rect.width);
+      }
+
+      const attributeSpeed = element?.getAttribute?.(ZONE_SPEED_ATTRIBUTE);
+      const speed =
+        zone.speed ?? (attributeSpeed !== null ? Number(attributeSpeed) : 1);
+
+      if (
+        ![start, end, speed].every(
+          (value) => typeof value === "number" && Number.isFinite(value)
+        ) ||
+        end <= start ||
+        speed <= 0
+      ) {
+        console.warn(
+          `SmoothScroll: Zone ${index} has no valid range or speed and is ignored.`
+        );
+        return;
+      }
+
+      zones.push({ start, end, speed });
+    });
+
+    updateZoneFactor();
+  }
+
+  /**
+   * Blend the speeds of the zones around the reference line. Each zone
+   * fades in and out over zoneTransition around its edges, so the speed
+   * changes smoothly as sections cross the line.
+   */
+  function updateZoneFactor() {
+    if (zones.length === 0) {
+      return;
+    }
+
+    const viewportSize =
+      scrollContainer === window
+        ? isVertical
+          ? window.innerHeight
+          : window.innerWidth
+        : isVertical
+        ? scrollContainer.clientHeight
+        : scrollContainer.clientWidth;
+    let line =
+      scrollHelpers.getScrollPosition() +
+      stepProgress * config.scrollAmount +
+      viewportSize * config.zoneReferenceLine;
+    if (loopPeriod > 0) {
+      line = ((line % loopPeriod) + loopPeriod) % loopPeriod;
+    }
+
+    // Smoothstep ramps of neighboring zones add up to 1 where they meet
+    const width = Math.max(config.zoneTransition, 1);
+    const ramp = (value) => {
+      const t = Math.min(1, Math.max(0, value / width + 0.5));
+      return t * t * (3 - 2 * t);
+    };
+
+    zoneFactor = zones.reduce(
+      (factor, zone) =>
+        factor +
+        (zone.speed - 1) * ramp(line - zone.start) * ramp(zone.end - line),
+      1
+    );
+  }
+
+  /**
+   * Pause for user scrolling and resume once it has been idle
+   * for userScrollResumeDelay
+   */
+  function handleUserScrollIntent() {
+    isUserScrolling = true;
+    setPauseReason("user-scroll", true);
+    scheduleUserScrollResume();
+  }
+
+  /**
+   * (Re)start the timer that resumes auto-scroll after user scrolling
+   */
+  function scheduleUserScrollResume() {
+    // Clear existing timer
+    if (userScrollTimer) {
+      scheduler.clearTimeout(userScrollTimer);
+    }
+
+    // Set timer to resume auto-scroll after user stops scrolling
+    userScrollTimer = scheduler.setTimeout(() => {
+      userScrollTimer = null;
+
+      // Still dragging the scrollbar: resume on pointerup instead
+      if (!isUserScrolling || isDraggingScrollbar) {
+        return;
+      }
+
+      const currentPosition = scrollHelpers.getScrollPosition();
+
+      if (userScrollStrategies.includes("momentum")) {
+        // Check if scroll position is in valid range before resuming
+        // This prevents resuming during elastic bounce on iOS
+        const maxScroll = scrollHelpers.getMaxScroll();
+        const isInValidRange =
+          currentPosition >= 0 && currentPosition <= maxScroll;
+
+        // Only resume if in valid range (not in overscroll/bounce)
+        if (!isInValidRange) {
+          // Still in bounce, don't resume yet
+          // Next scroll event will trigger timer again
+          return;
+        }
+
+        // Cancel any remaining momentum scroll by forcing scroll position
+        // Only do this if user is not currently touching (to avoid disrupting bounce)
+        if (!isTouching) {
+          scrollHelpers.scrollTo(currentPosition);
+        }
+      }
+
+      isUserScrolling = false;
+
+      // Resume auto-scroll
+      rememberScrollPosition();
+      setPauseReason("user-scroll", false);
+    }, config.userScrollResumeDelay);
+  }
+
+  /**
+   * Element that receives touch, mouse, hover and focus events
+   */
+  function getInteractionTarget() {
+    return scrollContainer === window ? document.body : scrollContainer;
+  }
+
+  /**
+   * Attach the user scroll detection listeners (pauseOnUserScroll)
+   */
+  function attachUserScrollListeners() {
+    // Nothing but the auto-scroll moves the content in transform mode
+    if (isTransformMode) {
+      return;
+    }
+
+    const addUserScrollListener = (target, type, handler) => {
+      target.addEventListener(type, handler, { passive: true });
+      userScrollListeners.push([target, type, handler]);
+    };
+    const isWindowScroll = scrollContainer === window;
+
+    // Wheel and trackpad (flicks in interactive mode)
+    if (userScrollStrategies.includes("wheel") && !config.interactive) {
+      addUserScrollListener(scrollContainer, "wheel", handleUserScrollIntent);
+    }
+
+    // Arrow keys, page keys, Home, End and Space
+    if (userScrollStrategies.includes("keyboard")) {
+      addUserScrollListener(
+        isWindowScroll ? document : scrollContainer,
+        "keydown",
+        function handleScrollKey(event) {
+          if (SCROLL_KEYS.includes(event.key) && !isEditableTarget(event)) {
+            handleUserScrollIntent();
+          }
+        }
+      );
+    }
+
+    // Dragging the scrollbar (held until the pointer is released)
+    if (userScrollStrategies.includes("scrollbar")) {
+      addUserScrollListener(
+        isWindowScroll ? document.documentElement : scrollContainer,
+        "pointerdown",
+        function handleScrollbarPointerDown(event) {
+          const isOnScrollbar = isWindowScroll
+            ? event.clientX >= document.documentElement.clientWidth ||
+              event.clientY >= document.documentElement.clientHeight
+            : event.target === scrollContainer &&
+              // The vertical scrollbar sits on the left in right-to-left layouts
+              (event.offsetX >= scrollContainer.clientWidth ||
+                event.offsetX < 0 ||
+                event.offsetY >= scrollContainer.clientHeight);
+          if (isOnScrollbar) {
+            isDraggingScrollbar = true;
+            handleUserScrollIntent();
+          }
+        }
+      );
+      addUserScrollListener(
+        window,
+        "pointerup",
+        function handleScrollbarPointerUp() {
+          if (isDraggingScrollbar) {
+            isDraggingScrollbar = false;
+            scheduleUserScrollResume();
+          }
+        }
+      );
+    }
+
+    // Position changes larger than the auto-scroll step
+    if (userScrollStrategies.includes("scroll")) {
+      addUserScrollListener(
+        scrollContainer,
+        "scroll",
+        function handleUserScroll() {
+          // Ignore scroll events triggered by auto-scrolling
+          if (isAutoScrolling) {
+            return;
+          }
+
+          // Detect if this is a user-initiated scroll
+          const currentScroll = scrollHelpers.getScrollPosition();
+          let scrollDelta = Math.abs(currentScroll - lastScrollPosition);
+          if (axes) {
+            const crossScroll = scrollHelpers.getScrollPosition(!isVertical);
+            scrollDelta = Math.max(
+              scrollDelta,
+              Math.abs(crossScroll - lastCrossScrollPosition)
+            );
+          }
+
+          // Only react if scroll change is larger than auto-scroll amount
+          // This helps distinguish user scrolling from auto-scrolling
+          if (scrollDelta > lastStepAmount * 2) {
+            handleUserScrollIntent();
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Remove the user scroll detection listeners and clear their timer
+   */
+  function detachUserScrollListeners() {
+    userScrollListeners.forEach(([target, type, handler]) => {
+      target.removeEventListener(type, handler);
+    });
+    userScrollListeners = [];
+    if (userScrollTimer) {
+      scheduler.clearTimeout(userScrollTimer);
+      userScrollTimer = null;
+    }
+    isUserScrolling = false;
+    isDraggingScrollbar = false;
+    isAutoScrolling = false;
+  }
+
+  /**
+   * Attach the touch listeners (pauseOnTouch)
+   */
+  function attachTouchListeners() {
+    if (!config.pauseOnTouch) {
+      return;
+    }
+
+    touchStartHandler = function handleTouchStart() {
+      isTouching = true;
+      setPauseReason("touch", true);
+    };
+
+    touchEndHandler = function handleTouchEnd() {
+      isTouching = false;
+      setPauseReason("touch", false);
+    };
+
+    // Attach touch event listeners
+    const touchTarget = getInteractionTarget();
+    touchTarget.addEventListener("touchstart", touchStartHandler, {
+      passive: true,
+    });
+    touchTarget.addEventListener("touchend", touchEndHandler, {
+      passive: true,
+    });
+    touchTarget.addEventListener("touchcancel", touchEndHandler, {
+      passive: true,
+    });
+  }
+
+  /**
+   * Remove the touch listeners
+   */
+  function detachTouchListeners() {
+    if (touchStartHandler || touchEndHandler) {
+      const touchTarget = getInteractionTarget();
+      if (touchStartHandler) {
+        touchTarget.removeEventListener("touchstart", touchStartHandler);
+        touchStartHandler = null;
+      }
+      if (touchEndHandler) {
+        touchTarget.removeEventListener("touchend", touchEndHandler);
+        touchTarget.removeEventListener("touchcancel", touchEndHandler);
+        touchEndHandler = null;
+      }
+    }
+    isTouching = false;
+  }
+
+  /**
+   * Attach the mouse move listener (pauseOnMouseMove)
+   */
+  function attachMouseMoveListener() {
+    if (!config.pauseOnMouseMove) {
+      return;
+    }
+
+    mouseMoveHandler = function handleMouseMove() {
+      setPauseReason("mouse", true);
+
+      // Clear existing timer
+      if (mouseMoveTimer) {
+        scheduler.clearTimeout(mouseMoveTimer);
+      }
+
+      // Set timer to resume auto-scroll after mouse stops moving
+      mouseMoveTimer = scheduler.setTimeout(() => {
+        setPauseReason("mouse", false);
+      }, 150); // Resume 150ms after mouse stops
+    };
+
+    getInteractionTarget().addEventListener("mousemove", mouseMoveHandler, {
+      passive: true,
+    });
+  }
+
+  /**
+   * Remove the mouse move listener and clear its timer
+   */
+  function detachMouseMoveListener() {
+    if (mouseMoveHandler && scrollContainer) {
+      getInteractionTarget().removeEventListener("mousemove", mouseMoveHandler);
+      mouseMoveHandler = null;
+    }
+    if (mouseMoveTimer) {
+      scheduler.clearTimeout(mouseMoveTimer);
+      mouseMoveTimer = null;
+    }
+  }
+
+  /**
+   * Start watching the document visibility (pauseWhenHidden)
+   */
+  function attachVisibilityListener() {
+    if (!config.pauseWhenHidden) {
+      return;
+    }
+
+    visibilityHandler = function handleVisibilityChange() {
+      setPauseReason("hidden", document.hidden);
+    };
+
+    document.addEventListener("visibilitychange", visibilityHandler);
+    visibilityHandler();
+  }
+
+  /**
+   * Stop watching the document visibility
+   */
+  function detachVisibilityListener() {
+    if (visibilityHandler) {
+      document.removeEventListener("visibilitychange", visibilityHandler);
+      visibilityHandler = null;
+    }
+  }
+
+  /**
+   * Start watching whether the scroll area is on screen (pauseWhenOffscreen)
+   */
+  function attachIntersectionObserver() {
+    if (
+      !config.pauseWhenOffscreen ||
+      typeof window.IntersectionObserver === "undefined"
+    ) {
+      return;
+    }
+
+    intersectionObserver = new window.IntersectionObserver((entries) => {
+      const entry = entries[entries.length - 1];
+      setPauseReason("offscreen", !entry.isIntersecting);
+    });
+
+    // Window scrolling is always on screen, so watch the target instead
+    intersectionObserver.observe(
+      scrollContainer === window ? targetElement : scrollContainer
+    );
+  }
+
+  /**
+   * Stop watching whether the scroll area is on screen
+   */
+  function detachIntersectionObserver() {
+    if (intersectionObserver) {
+      intersectionObserver.disconnect();
+      intersectionObserver = null;
+    }
+  }
+
+  /**
+   * Attach the hover listeners (pauseOnHover)
+   */
+  function attachHoverListeners() {
+    if (!config.pauseOnHover) {
+      return;
+    }
+
+    hoverStartHandler = function handleHoverStart() {
+      setPauseReason("hover", true);
+    };
+
+    hoverEndHandler = function handleHoverEnd() {
+      setPauseReason("hover", false);
+    };
+
+    const interactionTarget = getInteractionTarget();
+    interactionTarget.addEventListener("mouseenter", hoverStartHandler);
+    interactionTarget.addEventListener("mouseleave", hoverEndHandler);
+  }
+
+  /**
+   * Remove the hover listeners
+   */
+  function detachHoverListeners() {
+    if (hoverStartHandler) {
+      const interactionTarget = getInteractionTarget();
+      interactionTarget.removeEventListener("mouseenter", hoverStartHandler);
+      interactionTarget.removeEventListener("mouseleave", hoverEndHandler);
+      hoverStartHandler = null;
+      hoverEndHandler = null;
+    }
+  }
+
+  /**
+   * Attach the focus listeners for keyboard users tabbing into the content
+   * (pauseOnFocusWithin)
+   */
+  function attachFocusListeners() {
+    if (!config.pauseOnFocusWithin) {
+      return;
+    }
+
+    const interactionTarget = getInteractionTarget();
+    focusInHandler = function handleFocusIn() {
+      setPauseReason("focus", true);
+    };
+
+    focusOutHandler = function handleFocusOut(event) {
+      // Focus moving between elements inside the area keeps it paused
+      if (!interactionTarget.contains(event.relatedTarget)) {
+        setPauseReason("focus", false);
+      }
+    };
+
+    interactionTarget.addEventListener("focusin", focusInHandler);
+    interactionTarget.addEventListener("focusout", focusOutHandler);
+    setPauseReason(
+      "focus",
+      interactionTarget.contains(document.activeElement) &&
+        document.activeElement !== document.body
+    );
+  }
+
+  /**
+   * Remove the focus listeners
+   */
+  function detachFocusListeners() {
+    if (focusInHandler) {
+      const interactionTarget = getInteractionTarget();
+      interactionTarget.removeEventListener("focusin", focusInHandler);
+      interactionTarget.removeEventListener("focusout", focusOutHandler);
+      focusInHandler = null;
+      focusOutHandler = null;
+    }
+  }
+
+  /**
+   * Start following prefers-reduced-motion, including live changes (reducedMotion)
+   */
+  function attachReducedMotionListener() {
+    if (config.reducedMotion === "ignore" || !window.matchMedia) {
+      return;
+    }
+
+    reducedMotionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+    reducedMotionHandler = function handleReducedMotionChange() {
+      applyReducedMotion(reducedMotionQuery.matches);
+    };
+
+    reducedMotionQuery.addEventListener("change", reducedMotionHandler);
+    reducedMotionHandler();
+  }
+
+  /**
+   * Stop following prefers-reduced-motion and undo its policy
+   */
+  function detachReducedMotionListener() {
+    if (reducedMotionQuery) {
+      reducedMotionQuery.removeEventListener("change", reducedMotionHandler);
+      reducedMotionQuery = null;
+      reducedMotionHandler = null;
+    }
+    speedFactors.delete("reduced-motion");
+    isInterpolationSuppressed = false;
+  }
+
+  /**
+   * Position of a pointer or touch event along the main axis, in the
+   * direction scroll positions grow
+   * @param {Event} event - Pointer or touch event
+   * @returns {number} Client coordinate in normalized units
+   */
+  function getPointerCoordinate(event) {
+    const point = event.touches?.[0] ?? event.changedTouches?.[0] ?? event;
+    return (isVertical ? point.clientY : point.clientX) * getAxisSign();
+  }
+
+  /**
+   * Move the content to a position while dragging: whole pixels natively
+   * and the remainder with the interpolation, like animateTo()
+   * @param {number} position - Normalized scroll position
+   */
+  function dragTo(position) {
+    if (loopPeriod > 0) {
+      // Wrap around by whole periods, which look identical
+      const wrap = Math.floor(position / loopPeriod) * loopPeriod;
+      dragState.origin -= wrap;
+      position -= wrap;
+    } else {
+      position = Math.max(0, Math.min(position, scrollHelpers.getMaxScroll()));
+    }
+
+    const steps = Math.trunc(position - scrollHelpers.getScrollPosition());
+    if (steps !== 0) {
+      scrollHelpers.scrollBy(steps);
+    }
+    stepProgress = position - scrollHelpers.getScrollPosition();
+    applyInterpolation();
+  }
+
+  /**
+   * Average speed of the pointer over the last DRAG_VELOCITY_WINDOW ms
+   * @returns {number} Signed speed in pixels per second
+   */
+  function getDragVelocity() {
+    const now = scheduler.now();
+    const recent = dragState.samples.filter(
+      (sample) => now - sample.time <= DRAG_VELOCITY_WINDOW
+    );
+    if (recent.length < 2) {
+      return 0;
+    }
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    if (last.time === first.time) {
+      return 0;
+    }
+    return ((last.distance - first.distance) * 1000) / (last.time - first.time);
+  }
+
+  /**
+   * Throw the content at a speed and let it decay back to the target speed
+   * (through zero when thrown against the direction)
+   * @param {number} speed - Signed speed in pixels per second
+   */
+  function startInertia(speed) {
+    if (!isStarted || isStopping) {
+      return;
+    }
+    currentSpeed = Math.max(
+      -MAX_INERTIA_SPEED,
+      Math.min(speed, MAX_INERTIA_SPEED)
+    );
+    transitionSpeed(getTargetSpeed(), config.inertiaDuration, "ease-out");
+    inertiaTransition = speedTransition;
+  }
+
+  /**
+   * Whether the applied speed is still decaying from a drag or flick
+   */
+  function isCoasting() {
+    return speedTransition !== null && speedTransition === inertiaTransition;
+  }
+
+  /**
+   * Add or remove a listener that lives as long as the interactive mode
+   * (or the drag, with the drag list)
+   * @param {Array} list - interactiveListeners or dragListeners
+   * @param {EventTarget} target - Element, document or window
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   * @param {Object} [options] - addEventListener options
+   */
+  function addInteractiveListener(list, target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    list.push([target, type, handler, options]);
+  }
+
+  /**
+   * Remove every listener of a list added by addInteractiveListener()
+   * @param {Array} list - interactiveListeners or dragListeners
+   */
+  function removeInteractiveListeners(list) {
+    list.forEach(([target, type, handler, options]) => {
+      target.removeEventListener(type, handler, options);
+    });
+    list.length = 0;
+  }
+
+  /**
+   * Set an inline style of the interaction target until the interactive
+   * mode ends, remembering the value it replaces
+   * @param {HTMLElement} element - Element to style
+   * @param {string} property - Style property
+   * @param {string} value - Value while interactive
+   */
+  function replaceInteractionStyle(element, property, value) {
+    replacedInteractionStyles.push([
+      element,
+      property,
+      element.style[property],
+    ]);
+    element.style[property] = value;
+  }
+
+  /**
+   * Grab the content: hold the auto-scroll and follow the pointer
+   * @param {Event} event - pointerdown or touchstart event
+   */
+  function handlePressStart(event) {
+    if (
+      dragState ||
+      (event.button !== undefined && event.button !== 0) ||
+      isEditableTarget(event)
+    ) {
+      return;
+    }
+
+    // Pick up from where the content is shown, interpolation included
+    releaseWaypoint();
+    finishScrollAnimation(false);
+    isClickSuppressed = false;
+    const pointerStart = getPointerCoordinate(event);
+    dragState = {
+      origin: scrollHelpers.getScrollPosition() + stepProgress,
+      pointerStart,
+      samples: [{ time: scheduler.now(), distance: 0 }],
+      isDragging: false,
+    };
+    setPauseReason("drag", true);
+
+    const isTouch = event.type === "touchstart";
+    addInteractiveListener(
+      dragListeners,
+      window,
+      isTouch ? "touchmove" : "pointermove",
+      handlePressMove,
+      { passive: false }
+    );
+    ["touchend", "touchcancel", "pointerup", "pointercancel"]
+      .filter((type) => type.startsWith(isTouch ? "touch" : "pointer"))
+      .forEach((type) =>
+        addInteractiveListener(dragListeners, window, type, handlePressEnd)
+      );
+  }
+
+  /**
+   * Drag the content with the pointer once it moved past DRAG_THRESHOLD
+   * @param {Event} event - pointermove or touchmove event
+   */
+  function handlePressMove(event) {
+    const distance = dragState.pointerStart - getPointerCoordinate(event);
+    if (!dragState.isDragging) {
+      if (Math.abs(distance) < DRAG_THRESHOLD) {
+        return;
+      }
+      dragState.isDragging = true;
+      isClickSuppressed = true;
+    }
+
+    // Native touch panning would fight the drag
+    if (event.cancelable) {
+      event.preventDefault();
+    }
+
+    dragState.samples.push({ time: scheduler.now(), distance });
+    if (dragState.samples.length > 20) {
+      dragState.samples.shift();
+    }
+    dragTo(dragState.origin + distance);
+  }
+
+  /**
+   * Let go of the content: the auto-scroll continues at the speed it was
+   * thrown at and eases back to the target speed
+   */
+  function handlePressEnd() {
+    const velocity = dragState.isDragging ? getDragVelocity() : 0;
+    removeInteractiveListeners(dragListeners);
+    dragState = null;
+
+    setPauseReason("drag", false);
+    startInertia(velocity);
+  }
+
+  /**
+   * Flick the content with the wheel: each event adds the speed that
+   * covers its distance over the inertia
+   * @param {WheelEvent} event - wheel event
+   */
+  function handleInteractiveWheel(event) {
+    // Pinch zooming on trackpads
+    if (event.ctrlKey) {
+      return;
+    }
+
+    // Vertical wheels drive horizontal scrollers too
+    let delta = isVertical ? event.deltaY : event.deltaX || event.deltaY;
+    if (event.deltaMode === 1) {
+      delta *= WHEEL_LINE_HEIGHT;
+    } else if (event.deltaMode === 2) {
+      delta *= isVertical
+        ? scrollContainer === window
+          ? window.innerHeight
+          : scrollContainer.clientHeight
+        : scrollContainer === window
+        ? window.innerWidth
+        : scrollContainer.clientWidth;
+    }
+    if (delta === 0) {
+      return;
+    }
+    event.preventDefault();
+
+    const distance = delta * getAxisSign();
+    if (!(config.inertiaDuration > 0)) {
+      scrollHelpers.scrollBy(Math.round(distance));
+      return;
+    }
+    // An ease-out decay covers a third of the extra speed times its duration
+    startInertia(currentSpeed + (3 * distance * 1000) / config.inertiaDuration);
+  }
+
+  /**
+   * Start listening for drags and flicks (interactive)
+   */
+  function attachInteractiveListeners() {
+    if (!config.interactive) {
+      return;
+    }
+
+    const target = getInteractionTarget();
+    if (typeof window.PointerEvent !== "undefined") {
+      addInteractiveListener(
+        interactiveListeners,
+        target,
+        "pointerdown",
+        handlePressStart
+      );
+      // Leave the other axis to the browser
+      replaceInteractionStyle(
+        target,
+        "touchAction",
+        isVertical ? "pan-x" : "pan-y"
+      );
+    } else {
+      addInteractiveListener(
+        interactiveListeners,
+        target,
+        "touchstart",
+        handlePressStart,
+        { passive: true }
+      );
+    }
+    addInteractiveListener(
+      interactiveListeners,
+      target,
+      "wheel",
+      handleInteractiveWheel,
+      { passive: false }
+    );
+
+    // A drag is not a click, and not a native drag of an image or link
+    addInteractiveListener(
+      interactiveListeners,
+      target,
+      "click",
+      function handleDragClick(event) {
+        if (isClickSuppressed) {
+          isClickSuppressed = false;
+          event.preventDefault();
+          event.stopPropagation();
+        }
+      },
+      { capture: true }
+    );
+    addInteractiveListener(
+      interactiveListeners,
+      target,
+      "dragstart",
+      function handleNativeDrag(event) {
+        event.preventDefault();
+      }
+    );
+    replaceInteractionStyle(target, "userSelect", "none");
+  }
+
+  /**
+   * Stop listening for drags and flicks, letting go of a drag in progress
+   */
+  function detachInteractiveListeners() {
+    removeInteractiveListeners(dragListeners);
+    removeInteractiveListeners(interactiveListeners);
+    dragState = null;
+    inertiaTransition = null;
+    isClickSuppressed = false;
+    replacedInteractionStyles.forEach(([element, property, value]) => {
+      element.style[property] = value;
+    });
+    replacedInteractionStyles = [];
+  }
+
+  // Listeners attached while running: the options that configure each
+  // group and the pause reasons it holds (see setConfig)
+  const listenerGroups = [
+    {
+      options: ["pauseOnUserScroll", "interactive"],
+      reasons: ["user-scroll"],
+      attach: attachUserScrollListeners,
+      detach: detachUserScrollListeners,
+    },
+    {
+      options: ["pauseOnTouch"],
+      reasons: ["touch"],
+      attach: attachTouchListeners,
+      detach: detachTouchListeners,
+    },
+    {
+      options: ["pauseOnMouseMove"],
+      reasons: ["mouse"],
+      attach: attachMouseMoveListener,
+      detach: detachMouseMoveListener,
+    },
+    {
+      options: ["pauseWhenHidden"],
+      reasons: ["hidden"],
+      attach: attachVisibilityListener,
+      detach: detachVisibilityListener,
+    },
+    {
+      options: ["pauseWhenOffscreen"],
+      reasons: ["offscreen"],
+      attach: attachIntersectionObserver,
+      detach: detachIntersectionObserver,
+    },
+    {
+      options: ["pauseOnHover"],
+      reasons: ["hover"],
+      attach: attachHoverListeners,
+      detach: detachHoverListeners,
+    },
+    {
+      options: ["pauseOnFocusWithin"],
+      reasons: ["focus"],
+      attach: attachFocusListeners,
+      detach: detachFocusListeners,
+    },
+    {
+      options: ["interactive"],
+      reasons: ["drag"],
+      attach: attachInteractiveListeners,
+      detach: detachInteractiveListeners,
+    },
+    {
+      options: ["reducedMotion", "reducedMotionSpeed"],
+      reasons: ["reduced-motion"],
+      attach: attachReducedMotionListener,
+      detach: detachReducedMotionListener,
+    },
+    {
+      options: ["persist", "persistStorage"],
+      reasons: [],
+      attach: attachPersistListener,
+      detach: detachPersistListener,
+    },
+  ];
+
+  /**
+   * Attach the touch, mouse, user scroll, visibility, hover, focus
+   * and reduced motion listeners
+   */
+  function attachListeners() {
+    listenerGroups.forEach((listeners) => listeners.attach());
+  }
+
+  /**
+   * Remove the listeners added by attachListeners() and clear their timers
+   */
+  function detachListeners() {
+    listenerGroups.forEach((listeners) => listeners.detach());
+  }
+
+  /**
+   * Apply the reducedMotion policy
+   * @param {boolean} isReduced - Whether the user currently prefers reduced motion
+   */
+  function applyReducedMotion(isReduced) {
+    if (config.reducedMotion === "disable") {
+      setPauseReason("reduced-motion", isReduced);
+    } else if (config.reducedMotion === "slow") {
+      setSpeedFactor(
+        "reduced-motion",
+        isReduced ? config.reducedMotionSpeed : 1
+      );
+    } else if (config.reducedMotion === "no-interpolation") {
+      isInterpolationSuppressed = isReduced;
+      if (isReduced && transformTarget) {
+        setTransform();
+      }
+    }
+  }
+
+  /**
+   * Animation frame callback: advance speed, scroll and interpolate
+   * @param {number} currentTime - Frame timestamp
+   */
+  function scrollStep(currentTime) {
+    // This frame has been consumed
+    animationId = null;
+
+    // Check for WebKit elastic scroll (overscroll/bounce)
+    // If scroll position is out of valid range, pause to prevent jitter
+    // Allow small tolerance (2px) for floating point errors in Chromium browsers
+    const overscrollTolerance = 2;
+    const isInOverscroll = (axes ? [false, true] : [isVertical]).some(
+      (vertical) => {
+        const maxScroll = scrollHelpers.getMaxScroll(vertical);
+        const currentScroll = scrollHelpers.getScrollPosition(vertical);
+        return (
+          currentScroll < -overscrollTolerance ||
+          currentScroll > maxScroll + overscrollTolerance
+        );
+      }
+    );
+    if (
+      isInOverscroll &&
+      !pauseReasons.has("overscroll") &&
+      isCollectingStats()
+    ) {
+      statsCollector.overscroll();
+    }
+    setPauseReason("overscroll", isInOverscroll);
+
+    // Pause while any reason holds the scroller (touch, mouse, user scroll,
+    // overscroll, visibility, hover, focus, reduced motion or pause()). The loop is suspended until the last reason ends,
+    // except for overscroll which is only detected here and must be polled.
+    if (pauseReasons.size > 0) {
+      // Reset lastFrameTime to prevent time accumulation during pause
+      lastFrameTime = null;
+      if (pauseReasons.size === 1 && pauseReasons.has("overscroll")) {
+        requestFrame();
+      }
+      return;
+    }
+
+    // Initialize on first frame
+    if (lastFrameTime === null) {
+      lastFrameTime = currentTime;
+      alignPhase(currentTime);
+    }
+
+    if (isCollectingStats()) {
+      // The raw frame time, before long gaps are capped
+      statsCollector.frame(currentTime - lastFrameTime);
+    }
+    const elapsed = Math.min(currentTime - lastFrameTime, MAX_FRAME_ELAPSED);
+    lastFrameTime = currentTime;
+
+    // Spend the duration mode time budget
+    if (durationRemaining !== null) {
+      durationRemaining = Math.max(0, durationRemaining - elapsed);
+    }
+
+    // Ease the applied speed (a decelerating stop() finishes here)
+    updateSpeedTransition(elapsed);
+    if (!isStarted) {
+      return;
+    }
+
+    // Two-axis mode steps each axis on its own
+    if (axes) {
+      stepAxes(elapsed);
+      if (isStarted) {
+        emitProgress(currentTime);
+        emitStats(currentTime);
+        persistOnFrame(currentTime);
+        checkNearEnd();
+        requestFrame();
+      }
+      return;
+    }
+
+    // animateTo() takes over from the auto-scroll until it arrives
+    if (scrollAnimation) {
+      stepScrollAnimation(elapsed);
+      applyInterpolation();
+      emitProgress(currentTime);
+      emitStats(currentTime);
+      persistOnFrame(currentTime);
+      checkNearEnd();
+      requestFrame();
+      return;
+    }
+
+    // Ease into, dwell at and ease out of waypoints
+    updateWaypoints(elapsed);
+
+    // Follow the speed zone at the reference line
+    updateZoneFactor();
+
+    // Accumulate signed progress towards the next step at the applied speed
+    // (including the zone multiplier)
+    stepProgress += (elapsed / getFrameInterval()) * Math.sign(currentSpeed);
+
+    // Execute actual scroll when a full step has accumulated
+    if (Math.abs(stepProgress) >= 1) {
+      let stepDirection = Math.sign(stepProgress);
+
+      // Whole steps due this frame: several when the speed outruns the
+      // display refresh rate (adaptiveStep), otherwise capped at one
+      let steps = config.adaptiveStep ? Math.floor(Math.abs(stepProgress)) : 1;
+
+      // Get the latest scroll position before boundary check
+      const latestScroll = scrollHelpers.getScrollPosition();
+      const latestMaxScroll = scrollHelpers.getMaxScroll();
+
+      // Boundary check based on direction
+      let atBoundary = false;
+      let boundaryType = null;
+
+      if (loopPeriod > 0) {
+        // Loop mode: jump back by one period, which looks identical
+        if (stepDirection === 1 && latestScroll >= loopPeriod) {
+          scrollHelpers.scrollBy(-loopPeriod);
+          applyDuration(true);
+        } else if (stepDirection === -1 && latestScroll <= 0) {
+          scrollHelpers.scrollBy(loopPeriod);
+          applyDuration(true);
+        }
+      } else if (
+        // Check if reached the end (bottom, or right/left by writing direction)
+        (stepDirection === 1 && latestScroll >= latestMaxScroll - 1) ||
+        // Check if reached the start
+        (stepDirection === -1 && latestScroll <= 1)
+      ) {
+        atBoundary = true;
+        boundaryType = getBoundaryName(stepDirection);
+      }
+
+      // A flick against the direction rests at the boundary and eases back
+      if (
+        atBoundary &&
+        isCoasting() &&
+        stepDirection !== Math.sign(speedTransition.to)
+      ) {
+        currentSpeed = 0;
+        stepProgress = 0;
+        startInertia(0);
+        applyInterpolation();
+        requestFrame();
+        return;
+      }
+
+      // Handle boundary
+      if (atBoundary) {
+        if (shouldBounce()) {
+          // Reverse direction and continue with the accumulated progress
+          reverseDirection();
+          stepProgress = -stepProgress;
+          stepDirection = -stepDirection;
+        } else {
+          // Stop scrolling
+          if (config.onBoundaryReached) {
+            config.onBoundaryReached(boundaryType);
+          }
+          emitter.emit("boundary", { boundary: boundaryType });
+          stop({ duration: 0 });
+          return;
+        }
+      }
+
+      // Waypoints are soft boundaries: never step past the next one
+      let reachedWaypoint = null;
+      if (waypoints.length > 0 && stepDirection === scrollDirection) {
+        const next = getNextWaypoint();
+        if (next && next.distance <= steps) {
+          steps = next.distance;
+          reachedWaypoint = next.waypoint;
+        }
+      }
+
+      // Execute actual scroll (whole pixels only, for Safari)
+      lastStepAmount = config.scrollAmount * steps;
+      scrollHelpers.scrollBy(lastStepAmount * stepDirection);
+      if (isCollectingStats()) {
+        statsCollector.step(lastStepAmount);
+      }
+
+      // Keep the fractional remainder for interpolation
+      stepProgress = (stepProgress - steps * stepDirection) % 1;
+
+      if (reachedWaypoint) {
+        arriveAtWaypoint(reachedWaypoint);
+      }
+    }
+
+    applyInterpolation();
+
+    emitProgress(currentTime);
+    emitStats(currentTime);
+    persistOnFrame(currentTime);
+    checkNearEnd();
+
+    requestFrame();
+  }
+
+  /**
+   * Show the progress towards the next whole-pixel step with a transform
+   */
+  function applyInterpolation() {
+    if (!isInterpolating() || !transformTarget) {
+      return;
+    }
+
+    // Check if we're heading into a boundary to prevent interpolation jitter
+    const maxScroll = scrollHelpers.getMaxScroll();
+    const currentScroll = scrollHelpers.getScrollPosition();
+    const interpolationDirection = Math.sign(stepProgress);
+
+    // Skip interpolation at boundaries (start = 0 or end = maxScroll)
+    // Loop mode never rests at a boundary
+    const shouldSkipInterpolation =
+      loopPeriod === 0 &&
+      ((interpolationDirection === -1 && currentScroll <= 0) ||
+        (interpolationDirection === 1 && currentScroll >= maxScroll - 1));
+
+    if (!shouldSkipInterpolation) {
+      // Interpolate the progress made since the last step with transform
+      const interpolation = config.scrollAmount * stepProgress;
+
+      // Apply transform in opposite direction (pre-compensate for next scroll)
+      const offset = -interpolation * getAxisSign();
+      if (isVertical) {
+        setTransform(0, offset);
+      } else {
+        setTransform(offset, 0);
+      }
+      if (interpolation !== 0 && isCollectingStats()) {
+        statsCollector.interpolated();
+      }
+    } else {
+      // At boundary, keep transform at zero to prevent jitter
+      setTransform();
+    }
+  }
+
+  /**
+   * Advance animateTo(): scroll the whole pixels of the eased position
+   * and leave the remainder to the interpolation
+   * @param {number} elapsed - Time in ms since the previous frame
+   */
+  function stepScrollAnimation(elapsed) {
+    const animation = scrollAnimation;
+    animation.elapsed += elapsed;
+    const progress = Math.min(1, animation.elapsed / animation.duration);
+    const position =
+      animation.from +
+      (animation.to - animation.from) * animation.easing(progress);
+
+    const steps = Math.trunc(position - scrollHelpers.getScrollPosition());
+    if (steps !== 0) {
+      lastStepAmount = config.scrollAmount * Math.abs(steps);
+      scrollHelpers.scrollBy(config.scrollAmount * steps);
+      if (isCollectingStats()) {
+        statsCollector.step(lastStepAmount);
+      }
+    }
+    stepProgress =
+      (position - scrollHelpers.getScrollPosition()) / config.scrollAmount;
+
+    if (progress >= 1) {
+      stepProgress = 0;
+      finishScrollAnimation(true);
+    }
+  }
+
+  /**
+   * End animateTo() and ease back into the auto-scroll
+   * @param {boolean} reached - Whether the target was reached (false when interrupted)
+   */
+  function finishScrollAnimation(reached) {
+    const animation = scrollAnimation;
+    if (!animation) {
+      return;
+    }
+    scrollAnimation = null;
+
+    if (isStarted && !isStopping) {
+      // A new traversal begins in duration mode
+      applyDuration(true);
+      transitionSpeed(
+        getTargetSpeed(),
+        config.transitionDuration,
+        config.easing
+      );
+    }
+    animation.resolve(reached);
+  }
+
+  /**
+   * Notify a direction change of one axis in two-axis mode
+   * @param {Object} axis - Axis state
+   */
+  function syncAxisDirection(axis) {
+    const direction = Math.sign(currentSpeed * axis.ratio * axis.sign);
+    if (direction !== 0 && direction !== axis.direction) {
+      axis.direction = direction;
+      const name = getDirectionName(direction, axis.vertical);
+      if (config.onDirectionChange) {
+        config.onDirectionChange(name);
+      }
+      emitter.emit("directionchange", {
+        direction: name,
+        axis: axis.vertical ? "y" : "x",
+      });
+    }
+  }
+
+  /**
+   * Two-axis counterpart of the stepping in scrollStep(): every axis
+   * accumulates its own whole-pixel steps, bounces or stops at its own
+   * boundaries, and both remainders are interpolated with one transform
+   * @param {number} elapsed - Time in ms since the previous frame
+   */
+  function stepAxes(elapsed) {
+    const interpolation = [0, 0];
+
+    for (const axis of axes) {
+      if (axis.isStopped) {
+        continue;
+      }
+
+      const axisSpeed = currentSpeed * axis.ratio * axis.sign;
+      syncAxisDirection(axis);
+      axis.stepProgress +=
+        (elapsed / getFrameInterval(axisSpeed)) * Math.sign(axisSpeed);
+
+      if (Math.abs(axis.stepProgress) >= 1) {
+        let stepDirection = Math.sign(axis.stepProgress);
+        const steps = config.adaptiveStep
+          ? Math.floor(Math.abs(axis.stepProgress))
+          : 1;
+
+        const latestScroll = scrollHelpers.getScrollPosition(axis.vertical);
+        const latestMaxScroll = scrollHelpers.getMaxScroll(axis.vertical);
+        const atBoundary =
+          (stepDirection === 1 && latestScroll >= latestMaxScroll - 1) ||
+          (stepDirection === -1 && latestScroll <= 1);
+
+        if (atBoundary) {
+          if (shouldBounce(axis.vertical)) {
+            // Reverse this axis only
+            axis.sign *= -1;
+            axis.stepProgress = -axis.stepProgress;
+            stepDirection = -stepDirection;
+            syncAxisDirection(axis);
+          } else {
+            // Stop this axis; the scroller stops once every axis has
+            const boundaryType = getBoundaryName(stepDirection, axis.vertical);
+            axis.isStopped = true;
+            axis.stepProgress = 0;
+            if (config.onBoundaryReached) {
+              config.onBoundaryReached(boundaryType);
+            }
+            emitter.emit("boundary", {
+              boundary: boundaryType,
+              axis: axis.vertical ? "y" : "x",
+            });
+            if (axes.every((item) => item.isStopped || item.ratio === 0)) {
+              stop({ duration: 0 });
+              return;
+            }
+            continue;
+          }
+        }
+
+        // Execute actual scroll (whole pixels only, for Safari)
+        lastStepAmount = config.scrollAmount * steps;
+        scrollHelpers.scrollBy(lastStepAmount * stepDirection, axis.vertical);
+        if (isCollectingStats()) {
+          statsCollector.step(lastStepAmount);
+        }
+        axis.stepProgress = (axis.stepProgress - steps * stepDirection) % 1;
+      }
+
+      // Skip interpolation when heading into a boundary of this axis
+      const interpolationDirection = Math.sign(axis.stepProgress);
+      const currentScroll = scrollHelpers.getScrollPosition(axis.vertical);
+      const maxScroll = scrollHelpers.getMaxScroll(axis.vertical);
+      const shouldSkipInterpolation =
+        (interpolationDirection === -1 && currentScroll <= 0) ||
+        (interpolationDirection === 1 && currentScroll >= maxScroll - 1);
+      if (!shouldSkipInterpolation) {
+        interpolation[axis.vertical ? 1 : 0] =
+          config.scrollAmount * axis.stepProgress;
+      }
+    }
+
+    if (isInterpolating() && transformTarget) {
+      // Apply transform in opposite direction (pre-compensate for next scroll)
+      const offsetX = -interpolation[0] * getAxisSign(false);
+      const offsetY = -interpolation[1] * getAxisSign(true);
+      setTransform(offsetX, offsetY);
+      if ((offsetX !== 0 || offsetY !== 0) && isCollectingStats()) {
+        statsCollector.interpolated();
+      }
+    }
+  }
+
+  /**
+   * Request the next animation frame unless one is already pending
+   */
+  function requestFrame() {
+    if (animationId === null) {
+      animationId = requestFrameCallback(scrollStep);
+    }
+  }
+
+  /**
+   * Find the elements of the target and interpolationTarget options
+   * @param {Object} source - Configuration to read them from
+   * @returns {Object} { targetElement, customTransformTarget }
+   */
+  function resolveTargets(source) {
+    let element = source.target;
+    if (typeof element === "string") {
+      element = document.querySelector(source.target);
+      if (!element) {
+        throw new Error(
+          `SmoothScroll: Element not found for selector "${source.target}"`
+        );
+      }
+    }
+
+    let interpolationElement = source.interpolationTarget || null;
+    if (typeof interpolationElement === "string") {
+      interpolationElement = document.querySelector(source.interpolationTarget);
+      if (!interpolationElement) {
+        throw new Error(
+          `SmoothScroll: Interpolation target not found for selector "${source.interpolationTarget}"`
+        );
+      }
+    }
+
+    // Transform mode moves the content, not the frame
+    if (isTransformMode && !interpolationElement) {
+      interpolationElement = element.firstElementChild;
+      if (!interpolationElement) {
+        throw new Error(
+          "SmoothScroll: Transform mode requires a content element inside the target (or an interpolationTarget)"
+        );
+      }
+    }
+
+    return {
+      targetElement: element,
+      customTransformTarget: interpolationElement,
+    };
+  }
+
+  /**
+   * Start the smooth scrolling
+   * @param {Object} [options] - Transition options
+   * @param {number} [options.duration] - Time in ms to accelerate to full speed (defaults to transitionDuration)
+   * @param {string|Function} [options.easing] - Easing for the acceleration (defaults to easing)
+   */
+  function start(options = {}) {
+    const duration = options.duration ?? config.transitionDuration;
+    const easing = options.easing ?? config.easing;
+
+    if (isDestroyed) {
+      console.warn("SmoothScroll: Cannot start a destroyed instance.");
+      return;
+    }
+
+    // Continue from the state saved before the page was reloaded
+    let persisted = null;
+    if (!isStarted && !hasRestored) {
+      hasRestored = true;
+      persisted = readPersistedState();
+      if (persisted) {
+        restorePersistedSpeed(persisted);
+      }
+    }
+
+    // If speed is 0, don't start
+    if (config.speed === 0) {
+      return;
+    }
+
+    // Already running: cancel a pending decelerating stop
+    if (isStarted) {
+      if (isStopping) {
+        isStopping = false;
+        transitionSpeed(getTargetSpeed(), duration, easing);
+      }
+      return;
+    }
+
+    // Get scroll container (target) and the user specified interpolation
+    // target up front, since loop mode duplicates its content before measuring
+    ({ targetElement, customTransformTarget } = resolveTargets(config));
+
+    // Duplicate content before checking scrollability,
+    // so content shorter than the viewport becomes scrollable
+    if (config.loop) {
+      setupLoop(customTransformTarget ?? targetElement);
+    }
+
+    // Determine scroll container (re-resolved when the layout changes)
+    bindScrollContainer(resolveScrollContainer());
+    lastFrameTime = null;
+    if (persisted) {
+      restorePersistedPosition(persisted);
+    }
+
+    // Measure waypoint and zone offsets while the content is not transformed
+    resolveWaypoints();
+    resolveZones();
+
+    // Derive the speed from the content size in duration mode
+    applyDuration(true);
+
+    // Accelerate from zero, or begin at full speed
+    stepProgress = 0;
+    currentSpeed = 0;
+    if (axes) {
+      axes.forEach((axis) => {
+        axis.stepProgress = 0;
+        axis.isStopped = false;
+      });
+    }
+    transitionSpeed(getTargetSpeed(), duration, easing);
+
+    // Collect statistics for this run
+    statsCollector.reset();
+    lastStatsTime = null;
+
+    isStarted = true;
+    attachListeners();
+    observeLayout();
+    if (config.statsOverlay) {
+      showStatsOverlay();
+    }
+    requestFrame();
+
+    emitter.emit("start");
+
+    lastPersistTime = null;
+    if (persisted?.status === "paused") {
+      pause();
+    }
+  }
+
+  /**
+   * Stop the smooth scrolling
+   * @param {Object} [options] - Transition options
+   * @param {number} [options.duration] - Time in ms to decelerate before stopping (defaults to transitionDuration)
+   * @param {string|Function} [options.easing] - Easing for the deceleration (defaults to easing)
+   */
+  function stop(options = {}) {
+    const duration = options.duration ?? config.transitionDuration;
+    const easing = options.easing ?? config.easing;
+
+    // Decelerate first, then stop for real (immediately while paused)
+    if (
+      isStarted &&
+      duration > 0 &&
+      currentSpeed !== 0 &&
+      pauseReasons.size === 0
+    ) {
+      isStopping = true;
+      transitionSpeed(0, duration, easing, () => stop({ duration: 0 }));
+      return;
+    }
+
+    if (isStarted) {
+      savePersistedState("stopped");
+      isStarted = false;
+      if (animationId !== null) {
+        cancelFrameCallback(animationId);
+        animationId = null;
+      }
+      lastFrameTime = null;
+
+      // Reset speed state
+      currentSpeed = 0;
+      speedTransition = null;
+      isStopping = false;
+      stepProgress = 0;
+      lastStepAmount = SCROLL_AMOUNT;
+
+      // Interrupt animateTo()
+      finishScrollAnimation(false);
+
+      // Forget waypoints
+      speedFactors.delete("waypoint");
+      waypoints = [];
+      activeWaypoint = null;
+      waypointPhase = null;
+
+      // Forget speed zones
+      zones = [];
+      zoneFactor = 1;
+
+      // Reset transform and CSS properties (if interpolation is enabled)
+      resetTransformStyles();
+
+      detachListeners();
+      unobserveLayout();
+      restoreScrollStyles();
+      durationRemaining = null;
+
+      // Forget pause reasons (including those held by pause())
+      pauseReasons.forEach((count, reason) => statsCollector.pauseEnd(reason));
+      pauseReasons.clear();
+      hideStatsOverlay();
+      lastProgressTime = null;
+
+      // Remove loop clones
+      teardownLoop();
+      loopContent = null;
+
+      targetElement = null;
+      customTransformTarget = null;
+      scrollContainer = null;
+      transformTarget = null;
+
+      emitter.emit("stop");
+    }
+  }
+
+  /**
+   * Get current configuration
+   */
+  function getConfig() {
+    return { ...config };
+  }
+
+  /**
+   * Check if currently running (started and not stopped, including while paused)
+   */
+  function isRunning() {
+    return isStarted;
+  }
+
+  /**
+   * Pause scrolling while keeping state, position and listeners.
+   * Pauses are reference-counted: every pause(reason) needs a matching
+   * resume(reason), and scrolling continues once all reasons are released.
+   * @param {string} [reason='manual'] - Name of what is holding the scroller paused
+   */
+  function pause(reason = "manual") {
+    if (!isStarted) {
+      return;
+    }
+    addPauseReason(reason);
+    savePersistedState();
+  }
+
+  /**
+   * Release a pause held by pause(reason)
+   * @param {string} [reason='manual'] - Name passed to pause()
+   */
+  function resume(reason = "manual") {
+    removePauseReason(reason);
+    savePersistedState();
+  }
+
+  /**
+   * Get the current playback state
+   * @returns {{status: string, reasons: string[]}} Status ('running', 'paused' or 'stopped') and active pause reasons
+   */
+  function getState() {
+    const reasons = [...pauseReasons.keys()];
+    let status = "running";
+    if (!isStarted) {
+      status = "stopped";
+    } else if (reasons.length > 0) {
+      status = "paused";
+    }
+    return { status, reasons };
+  }
+
+  /**
+   * Stop scrolling, remove every listener and event subscription,
+   * and prevent the instance from being started again
+   */
+  function destroy() {
+    if (isDestroyed) {
+      return;
+    }
+
+    // Tearing down (e.g. on unmount) is not a stop: keep the state for the next instance
+    savePersistedState();
+    isDestroyed = true;
+    stop({ duration: 0 });
+    emitter.clear();
+    nearEndWatchers = [];
+  }
+
+  /**
+   * Update scroll speed without interrupting the animation
+   * @param {number} newSpeed - New speed in pixels per second (can be 0 or negative)
+   * @param {Object} [options] - Transition options
+   * @param {number} [options.duration] - Time in ms to ease to the new speed (defaults to transitionDuration)
+   * @param {string|Function} [options.easing] - Easing for the transition (defaults to easing)
+   */
+  function setSpeed(newSpeed, options = {}) {
+    if (typeof newSpeed !== "number") {
+      console.warn("SmoothScroll: Invalid speed value. Must be a number.");
+      return;
+    }
+
+    const duration = options.duration ?? config.transitionDuration;
+    const easing = options.easing ?? config.easing;
+
+    // An explicit speed replaces duration mode
+    config.duration = null;
+    durationRemaining = null;
+
+    // Update config
+    updateConfigSpeed(newSpeed);
+
+    if (!isRunning()) {
+      // Applied on the next start()
+      if (newSpeed !== 0) {
+        scrollDirection = getScrollDirection(getTargetSpeed());
       }
-    } else {
-      // Default: same as scroll container
-      transformTarget =
-        scrollContainer === window ? targetElement : scrollContainer;
+      return;
     }
 
-    // Apply performance CSS properties if interpolation is enabled
-    if (config.interpolation && transformTarget) {
-      transformTarget.style.willChange = "transform";
-      transformTarget.style.backfaceVisibility = "hidden";
+    // A decelerating stop() keeps heading for zero
+    if (isStopping) {
+      return;
     }
 
-    lastScrollTime = null;
-    lastScrollPosition = scrollHelpers.getScrollPosition();
+    // Ease towards the new speed (through zero when the sign changes)
+    transitionSpeed(getTargetSpeed(), duration, easing);
+  }
 
-    function scrollStep(currentTime) {
-      // Pause if user is touching and pauseOnTouch is enabled
-      if (config.pauseOnTouch && isTouching) {
-        // Reset lastScrollTime to prevent time accumulation during pause
-        lastScrollTime = null;
-        animationId = requestAnimationFrame(scrollStep);
-        return;
-      }
+  /**
+   * Update the speed vector in two-axis mode. Directions switch at once,
+   * while the magnitude eases like setSpeed()
+   * @param {Object} newVelocity - { x, y } in pixels per second
+   * @param {Object} [options] - Transition options passed to setSpeed()
+   */
+  function setVelocity(newVelocity, options = {}) {
+    if (!axes) {
+      console.warn(
+        'SmoothScroll: setVelocity() requires the "velocity" option. Use setSpeed() instead.'
+      );
+      return;
+    }
+    const x = newVelocity?.x ?? 0;
+    const y = newVelocity?.y ?? 0;
+    if (typeof x !== "number" || typeof y !== "number") {
+      console.warn("SmoothScroll: Invalid velocity value. Must be { x, y }.");
+      return;
+    }
+
+    // A zero vector keeps the directions for a later setSpeed()
+    const magnitude = Math.hypot(x, y);
+    if (magnitude > 0) {
+      [x, y].forEach((component, index) => {
+        const axis = axes[index];
+        axis.ratio = component / magnitude;
+        axis.sign = 1;
+        axis.isStopped = false;
+      });
+    }
+
+    setSpeed(magnitude, options);
+    config.velocity = { x, y };
+  }
+
+  /**
+   * Get the time left until the current traversal ends (the next boundary,
+   * or the content repeating in loop mode) at the current speed
+   * @returns {number|null} Remaining time in ms (Infinity at speed 0), or null when stopped
+   */
+  function getRemainingTime() {
+    if (!isStarted || !scrollContainer) {
+      return null;
+    }
+    if (durationRemaining !== null) {
+      return durationRemaining;
+    }
+    const targetSpeed = Math.abs(getTargetSpeed());
+    if (targetSpeed === 0) {
+      return Infinity;
+    }
+    if (axes) {
+      // The first axis to reach a boundary ends the traversal
+      return Math.min(
+        ...axes
+          .filter((axis) => axis.ratio !== 0 && !axis.isStopped)
+          .map(
+            (axis) =>
+              (getRemainingDistance(axis.vertical) /
+                (targetSpeed * Math.abs(axis.ratio))) *
+              1000
+          )
+      );
+    }
+    return (getRemainingDistance() / targetSpeed) * 1000;
+  }
 
-      // Pause if mouse is moving and pauseOnMouseMove is enabled
-      if (config.pauseOnMouseMove && isMouseMoving) {
-        // Reset lastScrollTime to prevent time accumulation during pause
-        lastScrollTime = null;
-        animationId = requestAnimationFrame(scrollStep);
+  /**
+   * Resolve the targets, axis and loop mode again while running, keeping
+   * the direction, the speed and the interpolation phase
+   * @param {Object} [targets] - Elements already resolved by resolveTargets()
+   */
+  function rebindTargets(targets) {
+    detachListeners();
+    unobserveLayout();
+    CONTAINER_PAUSE_REASONS.forEach((reason) => setPauseReason(reason, false));
+
+    // Offsets measured on the previous content no longer apply
+    finishScrollAnimation(false);
+    releaseWaypoint();
+    teardownLoop();
+    loopContent = null;
+
+    ({ targetElement, customTransformTarget } =
+      targets ?? resolveTargets(config));
+    if (config.loop) {
+      setupLoop(customTransformTarget ?? targetElement);
+    }
+    bindScrollContainer(resolveScrollContainer());
+    attachListeners();
+    observeLayout();
+
+    resolveWaypoints();
+    resolveZones();
+    applyDuration(true);
+  }
+
+  /**
+   * Change options while running, keeping the current direction, speed and
+   * interpolation phase. Only the listeners and targets affected by the
+   * changed options are re-bound.
+   * @param {Object} partial - Options of createSlowScroll() to change (except scheduler and environment)
+   */
+  function setConfig(partial) {
+    if (isDestroyed) {
+      console.warn("SmoothScroll: Cannot configure a destroyed instance.");
+      return;
+    }
+    if (partial === null || typeof partial !== "object") {
+      console.warn("SmoothScroll: setConfig() expects an object of options.");
+      return;
+    }
+
+    // Keep the known options whose value changes (missing values mean the default)
+    const changes = {};
+    Object.keys(partial).forEach((name) => {
+      if (!(name in DEFAULTS) && name !== "interpolationTarget") {
+        console.warn(
+          `SmoothScroll: "${name}" cannot be changed with setConfig() and is ignored.`
+        );
         return;
       }
 
-      // Check for WebKit elastic scroll (overscroll/bounce)
-      // If scroll position is out of valid range, pause to prevent jitter
-      const maxScroll = scrollHelpers.getMaxScroll();
-      const currentScroll = scrollHelpers.getScrollPosition();
-      // Allow small tolerance (2px) for floating point errors in Chromium browsers
-      const overscrollTolerance = 2;
-      const isInOverscroll =
-        currentScroll < -overscrollTolerance ||
-        currentScroll > maxScroll + overscrollTolerance;
-
-      if (isInOverscroll) {
-        // In overscroll state (WebKit elastic bounce)
-        wasInOverscroll = true;
-        // Reset lastScrollTime to prevent time accumulation during pause
-        lastScrollTime = null;
-        animationId = requestAnimationFrame(scrollStep);
+      const value = partial[name] ?? DEFAULTS[name] ?? null;
+      if (
+        axes &&
+        (name === "isHorizontal" ||
+          (SINGLE_AXIS_OPTIONS.includes(name) && value))
+      ) {
+        console.warn(
+          `SmoothScroll: "${name}" is not supported with "velocity" and is ignored.`
+        );
         return;
-      } else if (wasInOverscroll) {
-        // Just returned from overscroll, reset state
-        wasInOverscroll = false;
-        lastScrollTime = null;
       }
-
-      // Initialize on first frame
-      if (lastScrollTime === null) {
-        lastScrollTime = currentTime;
+      if (value !== config[name]) {
+        changes[name] = value;
       }
+    });
+    const has = (name) => name in changes;
 
-      const elapsed = currentTime - lastScrollTime;
-      const frameInterval = getFrameInterval();
+    // Validate everything before applying anything
+    if (has("velocity") && (changes.velocity === null) !== (axes === null)) {
+      throw new Error(
+        'SmoothScroll: "velocity" cannot be turned on or off after creation'
+      );
+    }
+    if (has("mode")) {
+      throw new Error('SmoothScroll: "mode" cannot be changed after creation');
+    }
+    validateConfig({ ...config, ...changes }, window.HTMLElement);
 
-      // Execute actual scroll when frame interval has passed
-      if (elapsed >= frameInterval) {
-        // Get the latest scroll position before boundary check
-        const latestScroll = scrollHelpers.getScrollPosition();
-        const latestMaxScroll = scrollHelpers.getMaxScroll();
+    const needsRebind =
+      isStarted &&
+      ["target", "interpolationTarget", "isHorizontal", "loop"].some(has);
+    const targets =
+      needsRebind && (has("target") || has("interpolationTarget"))
+        ? resolveTargets({ ...config, ...changes })
+        : null;
 
-        // Boundary check based on direction
-        let atBoundary = false;
-        let boundaryType = null;
+    // Clear the transform while the previous target and settings apply
+    // (new content starts from the beginning in transform mode)
+    if (isTransformMode && (has("target") || has("interpolationTarget"))) {
+      virtualPosition = { x: 0, y: 0 };
+    }
+    if (needsRebind || (isStarted && has("interpolation"))) {
+      resetTransformStyles();
+    }
 
-        if (isVertical) {
-          // Check if reached bottom
-          if (scrollDirection === 1 && latestScroll >= latestMaxScroll - 1) {
-            atBoundary = true;
-            boundaryType = "bottom";
-          }
-          // Check if reached top
-          else if (scrollDirection === -1 && latestScroll <= 1) {
-            atBoundary = true;
-            boundaryType = "top";
-          }
-        } else if (isHorizontal) {
-          // Check if reached right
-          if (scrollDirection === 1 && latestScroll >= latestMaxScroll - 1) {
-            atBoundary = true;
-            boundaryType = "right";
-          }
-          // Check if reached left
-          else if (scrollDirection === -1 && latestScroll <= 1) {
-            atBoundary = true;
-            boundaryType = "left";
-          }
-        }
+    // Speed options go through their setters (easing and duration mode included)
+    if (has("velocity")) {
+      setVelocity(changes.velocity);
+    } else if (has("speed")) {
+      setSpeed(changes.speed);
+    }
+    if (has("duration")) {
+      config.duration = changes.duration;
+      durationRemaining = null;
+      applyDuration(true);
+    }
 
-        // Handle boundary
-        if (atBoundary) {
-          if (config.bounce) {
-            // Reverse direction
-            scrollDirection *= -1;
-
-            // Determine new direction name
-            let newDirectionName = "";
-            if (isVertical) {
-              newDirectionName = scrollDirection === 1 ? "down" : "up";
-            } else {
-              newDirectionName = scrollDirection === 1 ? "right" : "left";
-            }
+    Object.keys(changes).forEach((name) => {
+      if (!["speed", "velocity", "duration"].includes(name)) {
+        config[name] = changes[name];
+      }
+    });
+    if (has("pauseOnUserScroll")) {
+      userScrollStrategies = resolveUserScrollStrategies(
+        config.pauseOnUserScroll,
+        environment.isIOS
+      );
+    }
+    if (has("isHorizontal")) {
+      isVertical = !config.isHorizontal;
+      isHorizontal = config.isHorizontal;
+    }
 
-            if (config.onDirectionChange) {
-              config.onDirectionChange(newDirectionName);
-            }
-          } else {
-            // Stop scrolling
-            if (config.onBoundaryReached) {
-              config.onBoundaryReached(boundaryType);
-            }
-            stop();
-            return;
-          }
-        }
+    // Everything else is read on the next start()
+    if (!isStarted) {
+      return;
+    }
 
-        // Execute actual scroll
-        scrollHelpers.scrollBy(config.scrollAmount * scrollDirection);
+    if (needsRebind) {
+      rebindTargets(targets);
+    } else {
+      if (has("interpolation") && config.interpolation && transformTarget) {
+        transformTarget.style.willChange = "transform";
+        transformTarget.style.backfaceVisibility = "hidden";
+      }
 
-        // Reset transform (if interpolation is enabled)
-        if (config.interpolation && transformTarget) {
-          transformTarget.style.transform = "translate3d(0, 0, 0)";
+      listenerGroups.forEach((listeners) => {
+        if (listeners.options.some(has)) {
+          listeners.detach();
+          listeners.reasons.forEach((reason) => setPauseReason(reason, false));
+          listeners.attach();
         }
+      });
 
-        // Update last scroll time
-        lastScrollTime = currentTime;
-      } else if (config.interpolation && transformTarget) {
-        // Check if we're at the boundary to prevent interpolation jitter
-        const maxScroll = scrollHelpers.getMaxScroll();
-        const currentScroll = scrollHelpers.getScrollPosition();
+      if (has("waypoints") || has("snap")) {
+        releaseWaypoint();
+        resolveWaypoints();
+      }
+      if (has("zones")) {
+        resolveZones();
+      }
+    }
 
-        // Skip interpolation at boundaries (start = 0 or end = maxScroll)
-        const shouldSkipInterpolation =
-          currentScroll === 0 || currentScroll >= maxScroll - 1;
+    if (has("statsOverlay")) {
+      if (config.statsOverlay) {
+        showStatsOverlay();
+      } else {
+        hideStatsOverlay();
+      }
+    }
 
-        if (!shouldSkipInterpolation) {
-          // Intermediate frames: interpolate with transform (only if enabled)
-          const progress = elapsed / frameInterval; // 0-1
-          const interpolation =
-            config.scrollAmount * progress * scrollDirection;
+    // Ease towards a target speed changed by the new options (e.g. reducedMotion)
+    const targetSpeed = getTargetSpeed();
+    if (
+      !isStopping &&
+      !scrollAnimation &&
+      (speedTransition ? speedTransition.to : currentSpeed) !== targetSpeed
+    ) {
+      transitionSpeed(targetSpeed, config.transitionDuration, config.easing);
+    }
+  }
 
-          // Apply transform in opposite direction (pre-compensate for next scroll)
-          if (isVertical) {
-            transformTarget.style.transform = `translate3d(0, ${-interpolation}px, 0)`;
-          } else {
-            transformTarget.style.transform = `translate3d(${-interpolation}px, 0, 0)`;
-          }
-        } else {
-          // At boundary, keep transform at zero to prevent jitter
-          transformTarget.style.transform = "translate3d(0, 0, 0)";
-        }
-      }
+  /**
+   * Get the frame timing statistics collected since start()
+   * (with the stats or statsOverlay option)
+   * @returns {Object|null} Statistics, or null when not collecting
+   */
+  function getStats() {
+    if (!isCollectingStats()) {
+      return null;
+    }
+    return statsCollector.snapshot(config.absSpeed);
+  }
 
-      animationId = requestAnimationFrame(scrollStep);
+  /**
+   * Register a callback for when the scroller gets close to the end, e.g.
+   * to append more items to an infinite feed before it runs out
+   * @param {number} threshold - Remaining distance in pixels that triggers the callback
+   * @param {Function} callback - Receives { remaining, direction }
+   * @returns {Function} Function that removes the callback
+   */
+  function onNearEnd(threshold, callback) {
+    if (typeof threshold !== "number" || typeof callback !== "function") {
+      console.warn(
+        "SmoothScroll: onNearEnd() requires a threshold in pixels and a callback."
+      );
+      return () => {};
     }
 
-    // Store reference to scrollStep for resuming after user scroll
-    scrollStepFn = scrollStep;
+    const watcher = { threshold, callback, isArmed: true };
+    nearEndWatchers.push(watcher);
+    return () => {
+      nearEndWatchers = nearEndWatchers.filter((item) => item !== watcher);
+    };
+  }
 
-    animationId = requestAnimationFrame(scrollStep);
+  /**
+   * Resolve the target of seek() and animateTo() to a whole-pixel position
+   * @param {number|Object|HTMLElement|string} target - Progress from 0 to 1, { offset } in pixels, an element or a selector
+   * @param {string} method - Method name for the warning
+   * @returns {number|null} Scroll position, or null when the target is invalid
+   */
+  function resolveScrollTarget(target, method) {
+    const limit = loopPeriod > 0 ? loopPeriod : scrollHelpers.getMaxScroll();
+    let position = null;
 
-    // Setup user scroll detection for iOS/iPadOS
-    if (isIOSDevice()) {
-      userScrollHandler = function handleUserScroll() {
-        // Ignore scroll events triggered by auto-scrolling
-        if (isAutoScrolling) {
-          return;
-        }
+    if (typeof target === "number") {
+      if (target >= 0 && target <= 1) {
+        position = target * limit;
+      }
+    } else if (typeof target?.offset === "number") {
+      position = target.offset;
+    } else {
+      const element =
+        typeof target === "string" ? document.querySelector(target) : target;
+      if (element instanceof window.HTMLElement) {
+        position = getElementOffset(element);
+      }
+    }
 
-        // Detect if this is a user-initiated scroll
-        const currentScroll = scrollHelpers.getScrollPosition();
-        const scrollDelta = Math.abs(currentScroll - lastScrollPosition);
-
-        // Only react if scroll change is larger than auto-scroll amount
-        // This helps distinguish user scrolling from auto-scrolling
-        if (scrollDelta > config.scrollAmount * 2) {
-          // If not already paused by user scroll
-          if (!isUserScrolling && animationId !== null) {
-            isUserScrolling = true;
-            // Pause auto-scroll
-            cancelAnimationFrame(animationId);
-            animationId = null;
-          }
+    if (position === null || !Number.isFinite(position)) {
+      console.warn(
+        `SmoothScroll: ${method}() expects a progress from 0 to 1, { offset } in pixels, an element or a selector.`
+      );
+      return null;
+    }
 
-          // Clear existing timer
-          if (userScrollTimer) {
-            clearTimeout(userScrollTimer);
-          }
+    if (loopPeriod > 0) {
+      return Math.round(((position % loopPeriod) + loopPeriod) % loopPeriod);
+    }
+    return Math.round(Math.min(Math.max(position, 0), limit));
+  }
 
-          // Set timer to resume auto-scroll after user stops scrolling
-          userScrollTimer = setTimeout(() => {
-            if (isUserScrolling) {
-              // Check if scroll position is in valid range before resuming
-              // This prevents resuming during elastic bounce on iOS
-              const currentPosition = scrollHelpers.getScrollPosition();
-              const maxScroll = scrollHelpers.getMaxScroll();
-              const isInValidRange =
-                currentPosition >= 0 && currentPosition <= maxScroll;
-
-              // Only resume if in valid range (not in overscroll/bounce)
-              if (!isInValidRange) {
-                // Still in bounce, don't resume yet
-                // Next scroll event will trigger timer again
-                return;
-              }
-
-              isUserScrolling = false;
-
-              // Cancel any remaining momentum scroll by forcing scroll position
-              // Only do this if user is not currently touching (to avoid disrupting bounce)
-              if (!isTouching) {
-                if (scrollContainer === window) {
-                  if (isVertical) {
-                    window.scrollTo(window.scrollX, currentPosition);
-                  } else {
-                    window.scrollTo(currentPosition, window.scrollY);
-                  }
-                } else {
-                  if (isVertical) {
-                    scrollContainer.scrollTop = currentPosition;
-                  } else {
-                    scrollContainer.scrollLeft = currentPosition;
-                  }
-                }
-              }
-
-              // Resume auto-scroll
-              lastScrollTime = null;
-              lastScrollPosition = scrollHelpers.getScrollPosition();
-              animationId = requestAnimationFrame(scrollStepFn);
-            }
-          }, config.userScrollResumeDelay);
-        }
-      };
+  /**
+   * Check that seek() and animateTo() can move the scroller
+   * @param {string} method - Method name for the warning
+   */
+  function canMoveTo(method) {
+    if (!isStarted || !scrollContainer) {
+      console.warn(
+        `SmoothScroll: ${method}() requires a running scroller. Call start() first.`
+      );
+      return false;
+    }
+    if (axes) {
+      console.warn(
+        `SmoothScroll: ${method}() is not supported with "velocity".`
+      );
+      return false;
+    }
+    return true;
+  }
 
-      // Attach scroll event listener
-      scrollContainer.addEventListener("scroll", userScrollHandler, {
-        passive: true,
-      });
+  /**
+   * Get how far the scroller is along the main axis
+   * (through one period of the content in loop mode)
+   * @returns {number|null} Progress from 0 to 1, or null when stopped
+   */
+  function getProgress() {
+    if (!isStarted || !scrollContainer) {
+      return null;
     }
+    return measureProgress().progress;
+  }
 
-    // Setup touch event detection
-    if (config.pauseOnTouch) {
-      touchStartHandler = function handleTouchStart() {
-        isTouching = true;
-      };
+  /**
+   * Jump to a position and keep scrolling from there. The interpolation
+   * starts over from the new position, so nothing jumps but the content.
+   * @param {number|Object|HTMLElement|string} target - Progress from 0 to 1, { offset } in pixels, an element or a selector
+   */
+  function seek(target) {
+    if (!canMoveTo("seek")) {
+      return;
+    }
+    const position = resolveScrollTarget(target, "seek");
+    if (position === null) {
+      return;
+    }
 
-      touchEndHandler = function handleTouchEnd() {
-        isTouching = false;
-      };
+    releaseWaypoint();
+    finishScrollAnimation(false);
+    scrollHelpers.scrollBy(position - scrollHelpers.getScrollPosition());
 
-      // Attach touch event listeners
-      const touchTarget =
-        scrollContainer === window ? document.body : scrollContainer;
-      touchTarget.addEventListener("touchstart", touchStartHandler, {
-        passive: true,
-      });
-      touchTarget.addEventListener("touchend", touchEndHandler, {
-        passive: true,
-      });
-      touchTarget.addEventListener("touchcancel", touchEndHandler, {
-        passive: true,
-      });
+    stepProgress = 0;
+    if (isInterpolating() && transformTarget) {
+      setTransform();
     }
 
-    // Setup mouse move detection
-    if (config.pauseOnMouseMove) {
-      mouseMoveHandler = function handleMouseMove() {
-        isMouseMoving = true;
+    // A new traversal begins in duration mode
+    applyDuration(true);
+  }
 
-        // Clear existing timer
-        if (mouseMoveTimer) {
-          clearTimeout(mouseMoveTimer);
-        }
+  /**
+   * Scroll to a position with the same whole-pixel stepping and
+   * interpolation as the auto-scroll, then ease back into it
+   * @param {number|Object|HTMLElement|string} target - Progress from 0 to 1, { offset } in pixels, an element or a selector
+   * @param {Object} [options] - Animation options
+   * @param {number} [options.duration=1000] - Time in ms to get there
+   * @param {number} [options.speed] - Average speed in pixels per second to get there (instead of duration)
+   * @param {string|Function} [options.easing] - Easing for the animation (defaults to easing)
+   * @returns {Promise<boolean>} Resolves to true on arrival, or false when interrupted
+   */
+  function animateTo(target, options = {}) {
+    if (!canMoveTo("animateTo")) {
+      return Promise.resolve(false);
+    }
+    const position = resolveScrollTarget(target, "animateTo");
+    if (position === null) {
+      return Promise.resolve(false);
+    }
+
+    const from = scrollHelpers.getScrollPosition();
+    let duration = options.duration ?? ANIMATE_TO_DURATION;
+    if (options.duration === undefined && options.speed > 0) {
+      duration = (Math.abs(position - from) / options.speed) * 1000;
+    }
 
-        // Set timer to resume auto-scroll after mouse stops moving
-        mouseMoveTimer = setTimeout(() => {
-          isMouseMoving = false;
-        }, 150); // Resume 150ms after mouse stops
+    releaseWaypoint();
+    finishScrollAnimation(false);
+
+    // The auto-scroll is held at zero and eases back in on arrival
+    speedTransition = null;
+    currentSpeed = 0;
+
+    return new Promise((resolve) => {
+      scrollAnimation = {
+        from: from + stepProgress * config.scrollAmount,
+        to: position,
+        duration: Math.max(duration, 1),
+        easing: resolveEasing(options.easing ?? config.easing),
+        elapsed: 0,
+        resolve,
       };
+    });
+  }
 
-      // Attach mousemove event listener
-      const mouseTarget =
-        scrollContainer === window ? document.body : scrollContainer;
-      mouseTarget.addEventListener("mousemove", mouseMoveHandler, {
-        passive: true,
-      });
-    }
+  // Public API
+  const instance = {
+    start,
+    stop,
+    getConfig,
+    setConfig,
+    isRunning,
+    setSpeed,
+    setVelocity,
+    getRemainingTime,
+    getStats,
+    onNearEnd,
+    getProgress,
+    seek,
+    animateTo,
+    pause,
+    resume,
+    getState,
+    destroy,
+    on: emitter.on,
+    off: emitter.off,
+    once: emitter.once,
+  };
+
+  if (group) {
+    group.register(instance, { setSpeedFactor });
+  }
+
+  // Auto-start if enabled (unless it was stopped before a reload)
+  if (config.autoplay && readPersistedState()?.status !== "stopped") {
+    start();
+  }
+
+  return instance;
+}
+
+/**
+ * Creates a group of scrollers driven by a single requestAnimationFrame loop,
+ * with synchronized start, pause and stop and a shared speed scale
+ *
+ * @param {Object[]} members - Options for each member, as passed to createSlowScroll()
+ * @param {Object} [options] - Group options
+ * @param {boolean} [options.autoplay=true] - Start every member on creation (members' own autoplay is ignored)
+ * @param {boolean} [options.phaseLock=false] - Keep members at the same speed stepping on the same frames
+ * @param {number} [options.speedScale=1] - Multiplier applied to every member's speed
+ * @param {Object} [options.scheduler] - Timing functions shared by the loop and every member (see createSlowScroll)
+ * @param {Object} [options.environment] - Browser globals passed to every member (see createSlowScroll)
+ * @returns {Object} Group with the member instances and synchronized controls
+ *
+ * @example
+ * const group = createSlowScrollGroup(
+ *   [
+ *     { target: '#column-1', speed: 20 },
+ *     { target: '#column-2', speed: -20 },
+ *   ],
+ *   { phaseLock: true }
+ * );
+ * group.setSpeedScale(2, { duration: 1000 }); // Everything twice as fast
+ * group.pause();
+ */
+export function createSlowScrollGroup(members, options = {}) {
+  if (!Array.isArray(members)) {
+    throw new Error("SmoothScroll: Group members must be an array of options");
   }
 
+  const phaseLock = options.phaseLock ?? false;
+  const scheduler = resolveScheduler(options.scheduler);
+  const callbacks = new Map(); // Frame request id -> callback
+  const internals = new Map(); // Member instance -> private controls
+  let nextRequestId = 1;
+  let animationId = null;
+  let speedScale = options.speedScale ?? 1;
+  let phaseOrigin = null; // Timestamp the phase lock clock counts from
+
   /**
-   * Stop the smooth scrolling
+   * Run every callback requested for this frame with the same timestamp
+   * @param {number} currentTime - Frame timestamp
    */
-  function stop() {
-    if (animationId !== null) {
-      cancelAnimationFrame(animationId);
-      animationId = null;
-      lastScrollTime = null;
-
-      // Reset transform and CSS properties (if interpolation is enabled)
-      if (transformTarget && config.interpolation) {
-        transformTarget.style.transform = "translate3d(0, 0, 0)";
-        transformTarget.style.willChange = "auto";
-        transformTarget.style.backfaceVisibility = "visible";
-      }
+  function tick(currentTime) {
+    animationId = null;
+    const batch = Array.from(callbacks.values());
+    callbacks.clear();
+    batch.forEach((callback) => callback(currentTime));
+  }
 
-      // Cleanup user scroll detection (iOS/iPadOS)
-      if (userScrollHandler && scrollContainer) {
-        scrollContainer.removeEventListener("scroll", userScrollHandler);
-        userScrollHandler = null;
+  // Scheduling hooks handed to each member through a private option
+  const hooks = {
+    requestFrame(callback) {
+      const id = nextRequestId++;
+      callbacks.set(id, callback);
+      if (animationId === null) {
+        animationId = scheduler.requestFrame(tick);
       }
-      if (userScrollTimer) {
-        clearTimeout(userScrollTimer);
-        userScrollTimer = null;
+      return id;
+    },
+    cancelFrame(id) {
+      callbacks.delete(id);
+      if (callbacks.size === 0 && animationId !== null) {
+        scheduler.cancelFrame(animationId);
+        animationId = null;
       }
-      isUserScrolling = false;
-      isAutoScrolling = false;
-      scrollStepFn = null;
-
-      // Cleanup touch event listeners
-      if (touchStartHandler || touchEndHandler) {
-        const touchTarget =
-          scrollContainer === window ? document.body : scrollContainer;
-        if (touchStartHandler) {
-          touchTarget.removeEventListener("touchstart", touchStartHandler);
-          touchStartHandler = null;
-        }
-        if (touchEndHandler) {
-          touchTarget.removeEventListener("touchend", touchEndHandler);
-          touchTarget.removeEventListener("touchcancel", touchEndHandler);
-          touchEndHandler = null;
-        }
+    },
+    getPhase(speed, currentTime) {
+      if (!phaseLock) {
+        return null;
       }
-      isTouching = false;
-
-      // Cleanup mouse move listeners
-      if (mouseMoveHandler && scrollContainer) {
-        const mouseTarget =
-          scrollContainer === window ? document.body : scrollContainer;
-        mouseTarget.removeEventListener("mousemove", mouseMoveHandler);
-        mouseMoveHandler = null;
+      if (phaseOrigin === null) {
+        phaseOrigin = currentTime;
       }
-      if (mouseMoveTimer) {
-        clearTimeout(mouseMoveTimer);
-        mouseMoveTimer = null;
+      return (((currentTime - phaseOrigin) * speed) / 1000) % 1;
+    },
+    register(instance, controls) {
+      internals.set(instance, controls);
+      if (speedScale !== 1) {
+        controls.setSpeedFactor("group", speedScale);
       }
-      isMouseMoving = false;
+    },
+  };
 
-      // Reset overscroll state
-      wasInOverscroll = false;
+  const instances = members.map((memberOptions) =>
+    createSlowScroll({
+      scheduler: options.scheduler,
+      environment: options.environment,
+      ...memberOptions,
+      autoplay: false,
+      [GROUP_MEMBER]: hooks,
+    })
+  );
 
-      targetElement = null;
-      scrollContainer = null;
-      transformTarget = null;
-    }
+  /**
+   * Start every member in the same frame
+   * @param {Object} [options] - Transition options passed to each start()
+   */
+  function start(options) {
+    instances.forEach((instance) => instance.start(options));
   }
 
   /**
-   * Get current configuration
+   * Stop every member
+   * @param {Object} [options] - Transition options passed to each stop()
    */
-  function getConfig() {
-    return { ...config };
+  function stop(options) {
+    instances.forEach((instance) => instance.stop(options));
   }
 
   /**
-   * Check if currently running
+   * Pause every member
+   * @param {string} [reason='manual'] - Name of what is holding the group paused
    */
-  function isRunning() {
-    return animationId !== null;
+  function pause(reason) {
+    instances.forEach((instance) => instance.pause(reason));
   }
 
   /**
-   * Update scroll speed
-   * @param {number} newSpeed - New speed in pixels per second (can be 0 or negative)
+   * Release a pause held by pause(reason) on every member
+   * @param {string} [reason='manual'] - Name passed to pause()
    */
-  function setSpeed(newSpeed) {
-    if (typeof newSpeed !== "number") {
-      console.warn("SmoothScroll: Invalid speed value. Must be a number.");
-      return;
-    }
-
-    const wasRunning = isRunning();
+  function resume(reason) {
+    instances.forEach((instance) => instance.resume(reason));
+  }
 
-    // Stop current animation
-    if (wasRunning) {
-      stop();
+  /**
+   * Scale the speed of every member at once
+   * @param {number} scale - Multiplier applied to each member's own speed (1 = as configured)
+   * @param {Object} [options] - Transition options
+   * @param {number} [options.duration] - Time in ms to ease to the new speeds (defaults to each member's transitionDuration)
+   * @param {string|Function} [options.easing] - Easing for the transition
+   */
+  function setSpeedScale(scale, options = {}) {
+    if (typeof scale !== "number" || !(scale >= 0)) {
+      console.warn(
+        "SmoothScroll: Invalid speed scale. Must be a non-negative number."
+      );
+      return;
     }
+    speedScale = scale;
+    internals.forEach((controls) =>
+      controls.setSpeedFactor("group", scale, options)
+    );
+  }
 
-    // Update config
-    const absSpeed = Math.abs(newSpeed);
-    config.speed = newSpeed;
-    config.absSpeed = absSpeed;
-    config.fps = absSpeed / SCROLL_AMOUNT;
+  /**
+   * Get the current shared speed scale
+   */
+  function getSpeedScale() {
+    return speedScale;
+  }
 
-    // Update scroll direction based on speed sign
-    scrollDirection = getScrollDirection(newSpeed);
+  /**
+   * Check if any member is running
+   */
+  function isRunning() {
+    return instances.some((instance) => instance.isRunning());
+  }
 
-    // Restart if it was running and speed is not 0
-    if (wasRunning && newSpeed !== 0) {
-      start();
+  /**
+   * Destroy every member and the shared loop
+   */
+  function destroy() {
+    instances.forEach((instance) => instance.destroy());
+    internals.clear();
+    callbacks.clear();
+    if (animationId !== null) {
+      scheduler.cancelFrame(animationId);
+      animationId = null;
     }
   }
 
-  // Auto-start if enabled
-  if (config.autoplay) {
+  if (options.autoplay ?? true) {
     start();
   }
 
-  // Return public API
   return {
+    members: instances,
     start,
     stop,
-    getConfig,
+    pause,
+    resume,
+    setSpeedScale,
+    getSpeedScale,
     isRunning,
-    setSpeed,
+    destroy,
+  };
+}
+
+/**
+ * Creates an accessible pause/play button bound to a scroller instance,
+ * so users can stop auto-moving content (WCAG 2.2.2 Pause, Stop, Hide)
+ *
+ * @param {Object} scroller - Instance returned by createSlowScroll()
+ * @param {Object} [options] - Control options
+ * @param {string|HTMLElement} [options.container] - CSS selector or DOM element to append the button to (not appended if omitted)
+ * @param {string} [options.pauseLabel='Pause scrolling'] - Button label while scrolling
+ * @param {string} [options.playLabel='Play scrolling'] - Button label while paused or stopped
+ * @param {string} [options.className='slow-scroll-control'] - Class name of the button
+ * @param {Object} [options.environment] - Browser globals to create the button with (see createSlowScroll)
+ * @returns {Object} Control with the button element and destroy() method
+ *
+ * @example
+ * const scroller = createSlowScroll({ target: '#news', speed: 20 });
+ * const control = createPauseControl(scroller, { container: '#news-toolbar' });
+ * // Later...
+ * control.destroy();
+ */
+export function createPauseControl(scroller, options = {}) {
+  const pauseLabel = options.pauseLabel ?? "Pause scrolling";
+  const playLabel = options.playLabel ?? "Play scrolling";
+  const { document } = resolveEnvironment(options.environment);
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = options.className ?? "slow-scroll-control";
+
+  // Point assistive technology at the scrolled content when it has an id
+  const { target } = scroller.getConfig();
+  const targetElement =
+    typeof target === "string" ? document.querySelector(target) : target;
+  if (targetElement && targetElement.id) {
+    button.setAttribute("aria-controls", targetElement.id);
+  }
+
+  // Offer to pause only while the content actually moves
+  const update = () => {
+    const { status } = scroller.getState();
+    button.textContent = status === "running" ? pauseLabel : playLabel;
+  };
+
+  // Paused by other reasons (hover, focus, ...), a press holds the
+  // control pause so the content stays still once they end
+  const handleClick = () => {
+    const { status, reasons } = scroller.getState();
+    if (status === "stopped") {
+      scroller.start();
+    } else if (reasons.includes("control")) {
+      scroller.resume("control");
+    } else {
+      scroller.pause("control");
+    }
+    update();
+  };
+
+  button.addEventListener("click", handleClick);
+  const unsubscribers = ["start", "stop", "pause", "resume"].map((event) =>
+    scroller.on(event, update)
+  );
+  update();
+
+  if (options.container) {
+    const container =
+      typeof options.container === "string"
+        ? document.querySelector(options.container)
+        : options.container;
+    if (!container) {
+      throw new Error(
+        `SmoothScroll: Control container not found for selector "${options.container}"`
+      );
+    }
+    container.appendChild(button);
+  }
+
+  /**
+   * Remove the button and release its pause
+   */
+  function destroy() {
+    button.removeEventListener("click", handleClick);
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+    button.remove();
+    scroller.resume("control");
+  }
+
+  return {
+    element: button,
+    destroy,
   };
 }
 
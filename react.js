@@ -0,0 +1,74 @@
+/**
+ * Super Slow Smooth Scroll - React Hook
+ *
+ * @author Yamato Iizuka
+ * @license MIT
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { createSlowScroll } from "./index.js";
+import { getOptionChanges } from "./bindings.js";
+
+/**
+ * Auto-scroll the element of a ref while the component is mounted
+ *
+ * The instance is created after mount and destroyed on unmount, so the
+ * double mount of StrictMode leaves no listeners behind. Changed options
+ * (e.g. a speed prop) are applied with setConfig() without restarting;
+ * target, autoplay, scheduler and environment only apply on creation.
+ *
+ * @param {Object} ref - Ref of the scrollable element (from useRef())
+ * @param {Object} [options] - Options passed to createSlowScroll() (except target)
+ * @returns {Object|null} The scroller instance, or null before mount
+ *
+ * @example
+ * import { useRef } from 'react';
+ * import { useSlowScroll } from 'slow-scroll/react';
+ *
+ * function Credits({ speed }) {
+ *   const ref = useRef(null);
+ *   const scroller = useSlowScroll(ref, { speed, bounce: true });
+ *   return <div ref={ref} className="credits">...</div>;
+ * }
+ */
+export function useSlowScroll(ref, options = {}) {
+  const [scroller, setScroller] = useState(null);
+  const optionsRef = useRef(options); // Latest options from render
+  const appliedRef = useRef(options); // Options the instance has
+  optionsRef.current = options;
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) {
+      return undefined;
+    }
+
+    const instance = createSlowScroll({
+      ...optionsRef.current,
+      target: element,
+    });
+    appliedRef.current = optionsRef.current;
+    setScroller(instance);
+
+    return () => {
+      instance.destroy();
+      setScroller(null);
+    };
+  }, [ref]);
+
+  // Apply the options that changed since the last render
+  useEffect(() => {
+    if (!scroller) {
+      return;
+    }
+    const changes = getOptionChanges(appliedRef.current, options);
+    appliedRef.current = options;
+    if (changes) {
+      scroller.setConfig(changes);
+    }
+  });
+
+  return scroller;
+}
+
+export default useSlowScroll;
@@ -1,5 +1,5 @@
 export default {
-  input: 'index.js',
+  input: 'umd.js',
   output: {
     file: 'dist/slow-scroll.umd.js',
     format: 'umd',
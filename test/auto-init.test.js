@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createContext, installGlobals } from "./helpers/setup.js";
+import { autoInit, registry } from "../auto-init.js";
+
+/**
+ * Page with a marked scroll area in the body, driven by virtual time
+ * @param {Object} [attributes] - Attributes of the scroll area
+ */
+function setupPage(attributes = { "data-slow-scroll": "" }) {
+  const { dom, driver, scheduler, environment } = createContext();
+  const element = dom.createScrollArea();
+  Object.entries(attributes).forEach(([name, value]) =>
+    element.setAttribute(name, value)
+  );
+  dom.document.body.appendChild(element);
+
+  const controller = autoInit({ scheduler, environment });
+  return { dom, driver, element, controller };
+}
+
+test("initializes [data-slow-scroll] elements with their data options", (t) => {
+  const { driver, element, controller } = setupPage({
+    "data-slow-scroll": "",
+    "data-speed": "60",
+    "data-bounce": "",
+    "data-horizontal": "false",
+  });
+  t.after(controller.destroy);
+
+  const scroller = registry.get(element);
+  driver.advance(1000);
+
+  assert.equal(scroller.isRunning(), true);
+  assert.equal(scroller.getConfig().speed, 60);
+  assert.equal(scroller.getConfig().bounce, true);
+  assert.equal(scroller.getConfig().isHorizontal, false);
+  assert.ok(Math.abs(element.scrollTop - 60) <= 2);
+});
+
+test("initializes added elements and destroys removed ones", (t) => {
+  const { dom, element, controller } = setupPage({});
+  t.after(controller.destroy);
+  assert.equal(registry.has(element), false);
+
+  element.setAttribute("data-slow-scroll", "");
+  dom.mutate([{ target: dom.document.body, addedNodes: [element] }]);
+  const scroller = registry.get(element);
+  assert.equal(scroller.isRunning(), true);
+
+  element.remove();
+  dom.mutate([{ target: dom.document.body, removedNodes: [element] }]);
+
+  assert.equal(scroller.isRunning(), false);
+  assert.equal(registry.get(element), null);
+});
+
+test("keeps the instance of an element moved within the page", (t) => {
+  const { dom, element, controller } = setupPage();
+  t.after(controller.destroy);
+  const scroller = registry.get(element);
+  const container = dom.document.body.appendChild(new dom.window.HTMLElement());
+
+  element.remove();
+  container.appendChild(element);
+  dom.mutate([
+    { target: dom.document.body, removedNodes: [element] },
+    { target: container, addedNodes: [element] },
+  ]);
+
+  assert.equal(registry.get(element), scroller);
+  assert.equal(scroller.isRunning(), true);
+});
+
+test("uses the page globals like the UMD build", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { dom, driver, scheduler } = createContext();
+  t.after(installGlobals(dom));
+  const element = dom.createScrollArea();
+  element.setAttribute("data-slow-scroll", "");
+  element.setAttribute("data-speed", "30");
+  dom.document.body.appendChild(element);
+
+  const controller = autoInit({ scheduler });
+  t.after(controller.destroy);
+  driver.advance(1000);
+
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(registry.get(element).isRunning(), true);
+  assert.ok(Math.abs(element.scrollTop - 30) <= 1);
+});
+
+test("skips elements with invalid options", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { element, controller } = setupPage({
+    "data-slow-scroll": "",
+    "data-reduced-motion": "sometimes",
+  });
+  t.after(controller.destroy);
+
+  assert.equal(registry.has(element), false);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("destroy() stops watching and destroys the instances", () => {
+  const { dom, element, controller } = setupPage();
+  const scroller = registry.get(element);
+
+  controller.destroy();
+  const added = dom.createScrollArea();
+  added.setAttribute("data-slow-scroll", "");
+  dom.document.body.appendChild(added);
+  dom.mutate([{ target: dom.document.body, addedNodes: [added] }]);
+
+  assert.equal(scroller.isRunning(), false);
+  assert.equal(registry.size, 0);
+});
@@ -0,0 +1,232 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { StrictMode, createElement, useRef } from "react";
+import TestRenderer from "react-test-renderer";
+import { createContext, installGlobals } from "./helpers/setup.js";
+import { getOptionChanges, readOptionAttributes } from "../bindings.js";
+import { useSlowScroll } from "../react.js";
+import { vSlowScroll, getSlowScroll } from "../vue.js";
+import { defineSlowScrollElement } from "../element.js";
+
+/**
+ * Count the listeners of every type on an element or the window
+ * @param {Object} element - Fake event target
+ */
+function countListeners(element) {
+  return Array.from(element.listeners.values()).reduce(
+    (total, listeners) => total + listeners.size,
+    0
+  );
+}
+
+/**
+ * Render a component using useSlowScroll() in StrictMode, with the
+ * fake element as its ref (the test renderer mounts effects once)
+ * @param {Object} element - Fake element returned for the ref
+ * @param {Object} options - Options passed to the hook
+ * @returns {Object} { renderer, instances, update } with every instance the hook returned
+ */
+function renderHook(element, options) {
+  const instances = [];
+  function Credits(props) {
+    const ref = useRef(null);
+    instances.push(useSlowScroll(ref, props));
+    return createElement("div", { ref });
+  }
+  const render = (props) =>
+    createElement(StrictMode, null, createElement(Credits, props));
+
+  let renderer;
+  TestRenderer.act(() => {
+    renderer = TestRenderer.create(render(options), {
+      createNodeMock: () => element,
+    });
+  });
+  const update = (props) =>
+    TestRenderer.act(() => {
+      renderer.update(render(props));
+    });
+  return { renderer, instances, update };
+}
+
+test("getOptionChanges() ignores literals recreated on every render", () => {
+  const element = {};
+  const previous = {
+    speed: 30,
+    velocity: { x: 10, y: 20 },
+    waypoints: [{ element, dwell: 1000 }, 300],
+    autoplay: true,
+  };
+
+  assert.equal(
+    getOptionChanges(previous, {
+      speed: 30,
+      velocity: { x: 10, y: 20 },
+      waypoints: [{ element, dwell: 1000 }, 300],
+      autoplay: false,
+    }),
+    null
+  );
+  assert.deepEqual(
+    getOptionChanges(previous, { speed: 60, velocity: { x: 10, y: 20 } }),
+    { speed: 60, waypoints: undefined }
+  );
+});
+
+test("readOptionAttributes() converts values to the option types", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { dom } = createContext();
+  const element = dom.createScrollArea();
+  element.setAttribute("data-speed", "-20");
+  element.setAttribute("data-bounce", "");
+  element.setAttribute("data-interpolation", "false");
+  element.setAttribute("data-interpolation-target", ".inner");
+  element.setAttribute("data-duration", "soon");
+
+  assert.deepEqual(readOptionAttributes(element, "data-"), {
+    speed: -20,
+    bounce: true,
+    interpolation: false,
+    interpolationTarget: ".inner",
+  });
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("v-slow-scroll creates, updates and destroys an instance", () => {
+  const { dom, driver, environment, scheduler } = createContext();
+  const element = dom.createScrollArea();
+  const value = { speed: 30, scheduler, environment };
+
+  vSlowScroll.mounted(element, { value });
+  const scroller = getSlowScroll(element);
+  driver.advance(1000);
+  vSlowScroll.updated(element, {
+    value: { ...value, speed: 120 },
+    oldValue: value,
+  });
+
+  assert.equal(scroller.getConfig().speed, 120);
+  assert.equal(scroller.isRunning(), true);
+
+  vSlowScroll.unmounted(element);
+  assert.equal(scroller.isRunning(), false);
+  assert.equal(getSlowScroll(element), null);
+  assert.equal(element.listenerCount("wheel"), 0);
+});
+
+test("<slow-scroll> maps attributes to options", () => {
+  const { dom, driver, environment, scheduler } = createContext();
+  const SlowScrollElement = defineSlowScrollElement("slow-scroll", {
+    scheduler,
+    environment,
+  });
+  const element = new SlowScrollElement();
+  for (let i = 0; i < 20; i++) {
+    element.appendChild(new dom.window.HTMLElement());
+  }
+  element.setAttribute("speed", "60");
+  element.setAttribute("pause-on-hover", "");
+
+  element.connectedCallback();
+  driver.advance(1000);
+  const config = element.scroller.getConfig();
+
+  assert.equal(config.speed, 60);
+  assert.equal(config.pauseOnHover, true);
+  assert.ok(Math.abs(element.scrollTop - 60) <= 2);
+
+  element.setAttribute("speed", "120");
+  element.attributeChangedCallback("speed", "60", "120");
+  element.removeAttribute("pause-on-hover");
+  element.attributeChangedCallback("pause-on-hover", "", null);
+
+  assert.equal(element.scroller.getConfig().speed, 120);
+  assert.equal(element.scroller.getConfig().pauseOnHover, false);
+});
+
+test("<slow-scroll> cleans up on disconnect", () => {
+  const { dom, environment, scheduler } = createContext();
+  const SlowScrollElement = defineSlowScrollElement("slow-scroll", {
+    scheduler,
+    environment,
+    pauseOnTouch: true,
+  });
+  const element = new SlowScrollElement();
+  element.appendChild(new dom.window.HTMLElement({ size: 1000 }));
+
+  element.connectedCallback();
+  const scroller = element.scroller;
+  assert.ok(element.listenerCount("touchstart") > 0);
+
+  element.disconnectedCallback();
+
+  assert.equal(element.scroller, null);
+  assert.equal(scroller.isRunning(), false);
+  assert.equal(element.listenerCount("touchstart"), 0);
+  assert.equal(
+    defineSlowScrollElement("slow-scroll", { environment }),
+    SlowScrollElement
+  );
+});
+
+test("useSlowScroll() leaves nothing behind across mounts", (t) => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  t.after(() => delete globalThis.IS_REACT_ACT_ENVIRONMENT);
+  const { dom, driver, environment, scheduler } = createContext();
+  const element = dom.createScrollArea();
+  const listeners = countListeners(element);
+  const windowListeners = countListeners(dom.window);
+  const options = { speed: 30, scheduler, environment };
+
+  // Mount, unmount and mount again, as StrictMode does in development
+  const first = renderHook(element, options);
+  const mounted = countListeners(element);
+  TestRenderer.act(() => first.renderer.unmount());
+  assert.equal(first.instances.at(-1).isRunning(), false);
+  assert.equal(countListeners(element), listeners);
+
+  const { renderer, instances, update } = renderHook(element, options);
+  const scroller = instances.at(-1);
+  assert.notEqual(scroller, first.instances.at(-1));
+  assert.equal(countListeners(element), mounted);
+  driver.advance(1000);
+  assert.ok(Math.abs(element.scrollTop - 30) <= 1);
+
+  update({ ...options, speed: 90 });
+  assert.equal(instances.at(-1), scroller);
+  assert.equal(scroller.getConfig().speed, 90);
+
+  TestRenderer.act(() => renderer.unmount());
+  assert.equal(scroller.isRunning(), false);
+  assert.equal(countListeners(element), listeners);
+  assert.equal(countListeners(dom.window), windowListeners);
+});
+
+test("the bindings use the browser globals without an environment", (t) => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  t.after(() => delete globalThis.IS_REACT_ACT_ENVIRONMENT);
+  const { dom, driver, scheduler } = createContext();
+  t.after(installGlobals(dom));
+
+  const hooked = dom.createScrollArea();
+  const { renderer, instances } = renderHook(hooked, { speed: 30, scheduler });
+  const directive = dom.createScrollArea();
+  vSlowScroll.mounted(directive, { value: { speed: 30, scheduler } });
+  const SlowScrollElement = defineSlowScrollElement("slow-scroll-globals", {
+    scheduler,
+  });
+  const element = new SlowScrollElement();
+  element.appendChild(new dom.window.HTMLElement({ size: 1000 }));
+  element.setAttribute("speed", "30");
+  element.connectedCallback();
+
+  driver.advance(1000);
+  [hooked, directive, element].forEach((target) =>
+    assert.ok(Math.abs(target.scrollTop - 30) <= 1)
+  );
+  assert.equal(instances.at(-1).isRunning(), true);
+
+  TestRenderer.act(() => renderer.unmount());
+  vSlowScroll.unmounted(directive);
+  element.disconnectedCallback();
+});
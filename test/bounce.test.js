@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("reverses at the bottom and keeps running", () => {
+  const { scroller, element, driver } = setup({ speed: 300, bounce: true });
+  const directions = [];
+  scroller.on("directionchange", ({ direction }) => directions.push(direction));
+
+  driver.advance(5500);
+
+  assert.equal(scroller.isRunning(), true);
+  assert.deepEqual(directions, ["up"]);
+  assert.ok(element.scrollTop < 1500 && element.scrollTop > 1300);
+});
+
+test("bounces back down at the top", () => {
+  const changes = [];
+  const { element, driver } = setup({
+    speed: 300,
+    bounce: true,
+    onDirectionChange: (direction) => changes.push(direction),
+  });
+
+  driver.advance(10500);
+
+  assert.deepEqual(changes, ["up", "down"]);
+  assert.ok(element.scrollTop > 0 && element.scrollTop < 300);
+});
+
+test("does not emit boundary events while bouncing", () => {
+  const { scroller, driver } = setup({ speed: 300, bounce: true });
+  let boundaries = 0;
+  scroller.on("boundary", () => boundaries++);
+
+  driver.advance(12000);
+
+  assert.equal(boundaries, 0);
+});
+
+test("keeps the bounced direction when the speed changes", () => {
+  const { scroller, element, driver } = setup({ speed: 300, bounce: true });
+
+  driver.advance(5500);
+  scroller.setSpeed(600);
+  const position = element.scrollTop;
+  driver.advance(100);
+
+  assert.ok(element.scrollTop < position);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("stops at the bottom and reports the boundary", () => {
+  const reached = [];
+  const { scroller, element, driver } = setup({
+    speed: 300,
+    onBoundaryReached: (boundary) => reached.push(boundary),
+  });
+  const events = [];
+  scroller.on("boundary", ({ boundary }) => events.push(boundary));
+
+  driver.advance(6000);
+
+  assert.equal(scroller.isRunning(), false);
+  assert.ok(element.scrollTop >= 1499);
+  assert.deepEqual(reached, ["bottom"]);
+  assert.deepEqual(events, ["bottom"]);
+});
+
+test("stops at the top when scrolling up", () => {
+  const { scroller, element, driver } = setup({ speed: -300, autoplay: false });
+  element.scrollTop = 1500;
+  const events = [];
+  scroller.on("boundary", ({ boundary }) => events.push(boundary));
+
+  scroller.start();
+  driver.advance(6000);
+
+  assert.equal(scroller.isRunning(), false);
+  assert.ok(element.scrollTop <= 1);
+  assert.deepEqual(events, ["top"]);
+});
+
+test("reports left and right boundaries when scrolling horizontally", () => {
+  const { scroller, driver } = setup({ speed: 300, isHorizontal: true });
+  const events = [];
+  scroller.on("boundary", ({ boundary }) => events.push(boundary));
+
+  driver.advance(6000);
+
+  assert.deepEqual(events, ["right"]);
+});
+
+test("names the boundaries physically in right-to-left layouts", () => {
+  const { scroller, element, driver } = setup(
+    { speed: 300, isHorizontal: true },
+    { style: { direction: "rtl" } }
+  );
+  const events = [];
+  scroller.on("boundary", ({ boundary }) => events.push(boundary));
+
+  driver.advance(1000);
+  assert.ok(element.scrollLeft < 0, "scrolls towards negative scrollLeft");
+  assert.equal(scroller.getState().status, "running");
+
+  driver.advance(5000);
+  assert.deepEqual(events, ["left"]);
+});
+
+test("keeps the requested speed at high refresh rates", () => {
+  const { element, driver } = setup({ speed: 300 });
+
+  driver.advance(1000, 1000 / 144);
+
+  // Within one 60Hz frame, since the first frame only records the time
+  assert.ok(Math.abs(element.scrollTop - 300) <= 5);
+});
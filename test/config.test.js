@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("setConfig() changes the speed and getConfig() reflects it", () => {
+  const { scroller, element, driver } = setup({ speed: 30 });
+
+  driver.advance(1000);
+  scroller.setConfig({ speed: 120 });
+  const position = element.scrollTop;
+  driver.advance(1000);
+
+  assert.equal(scroller.getConfig().speed, 120);
+  assert.ok(Math.abs(element.scrollTop - position - 120) <= 2);
+});
+
+test("setConfig() validates before applying anything", () => {
+  const { scroller } = setup({ speed: 30 });
+
+  assert.throws(
+    () => scroller.setConfig({ speed: 60, reducedMotion: "sometimes" }),
+    /reducedMotion/
+  );
+  assert.throws(() => scroller.setConfig({ target: 42 }), /target/);
+  assert.equal(scroller.getConfig().speed, 30);
+});
+
+test("setConfig() checks user scroll strategies before applying", () => {
+  const { scroller } = setup({ speed: 30 });
+
+  assert.throws(
+    () => scroller.setConfig({ bounce: true, pauseOnUserScroll: ["bogus"] }),
+    /bogus/
+  );
+  assert.throws(
+    () => scroller.setConfig({ pauseOnUserScroll: "wheel" }),
+    /pauseOnUserScroll/
+  );
+  assert.equal(scroller.getConfig().bounce, false);
+  assert.equal(scroller.getConfig().pauseOnUserScroll, true);
+});
+
+test("rejects negative or non-numeric times and multipliers", () => {
+  const { scroller } = setup({ speed: 30 });
+
+  [
+    "transitionDuration",
+    "waypointDwell",
+    "waypointTransition",
+    "zoneTransition",
+    "progressInterval",
+    "statsInterval",
+    "reducedMotionSpeed",
+  ].forEach((name) => {
+    assert.throws(() => scroller.setConfig({ [name]: -1 }), new RegExp(name));
+    assert.throws(() => scroller.setConfig({ [name]: "1" }), new RegExp(name));
+  });
+  assert.throws(() => setup({ waypointDwell: NaN }), /waypointDwell/);
+  assert.equal(scroller.getConfig().transitionDuration, 0);
+});
+
+test("setConfig() ignores unknown options", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { scroller } = setup({ speed: 30 });
+
+  scroller.setConfig({ scheduler: null, sped: 60 });
+
+  assert.equal(warn.mock.callCount(), 2);
+  assert.equal(scroller.getConfig().speed, 30);
+});
+
+test("turning bounce on keeps running at the boundary", () => {
+  const { scroller, driver } = setup({ speed: 300 });
+  const directions = [];
+  scroller.on("directionchange", ({ direction }) => directions.push(direction));
+
+  driver.advance(1000);
+  scroller.setConfig({ bounce: true });
+  driver.advance(5000);
+
+  assert.equal(scroller.isRunning(), true);
+  assert.deepEqual(directions, ["up"]);
+});
+
+test("turning interpolation off resets the transform", () => {
+  const { scroller, element, driver } = setup({ speed: 30 });
+
+  driver.tick();
+  driver.tick();
+  scroller.setConfig({ interpolation: false });
+  driver.advance(500);
+
+  assert.equal(element.style.transform, "translate3d(0, 0, 0)");
+  assert.equal(element.style.willChange, "auto");
+});
+
+test("switching the axis keeps the direction and the phase", () => {
+  const { scroller, element, driver } = setup({ speed: -30, autoplay: false });
+  element.scrollTop = 1000;
+  element.scrollLeft = 1000;
+  scroller.start();
+
+  driver.tick();
+  driver.tick();
+  scroller.setConfig({ isHorizontal: true });
+  driver.tick();
+
+  // The half step made before carries over to the x axis
+  const offsetX = Number(
+    /translate3d\(([^,]+)px, 0, 0\)/.exec(element.style.transform)[1]
+  );
+  assert.ok(Math.abs(offsetX - 1) < 1e-9);
+  driver.advance(1000);
+  assert.equal(element.scrollTop, 1000);
+  assert.ok(element.scrollLeft < 1000);
+});
+
+test("re-binds only the listeners whose options changed", () => {
+  const { scroller, element } = setup({ speed: 30 });
+  const wheelListeners = element.listenerCount("wheel");
+
+  scroller.setConfig({ pauseOnTouch: true });
+
+  assert.equal(element.listenerCount("touchstart"), 1);
+  assert.equal(element.listenerCount("wheel"), wheelListeners);
+
+  scroller.setConfig({ pauseOnTouch: false, pauseOnUserScroll: false });
+  assert.equal(element.listenerCount("touchstart"), 0);
+  assert.equal(element.listenerCount("wheel"), 0);
+});
+
+test("disabling a pause option releases its pause", () => {
+  const { scroller, element } = setup({ speed: 30, pauseOnTouch: true });
+
+  element.dispatchEvent({ type: "touchstart" });
+  assert.deepEqual(scroller.getState().reasons, ["touch"]);
+
+  scroller.setConfig({ pauseOnTouch: false });
+  assert.equal(scroller.getState().status, "running");
+});
+
+test("switching the target moves the scrolling and the listeners", () => {
+  const { scroller, element, driver, dom } = setup({ speed: 60 });
+  const other = dom.createScrollArea();
+
+  driver.advance(1000);
+  const position = element.scrollTop;
+  scroller.setConfig({ target: other });
+  driver.advance(1000);
+
+  assert.equal(element.scrollTop, position);
+  assert.ok(Math.abs(other.scrollTop - 60) <= 2);
+  assert.equal(element.listenerCount("wheel"), 0);
+  assert.equal(other.listenerCount("wheel"), 1);
+  assert.equal(scroller.getConfig().target, other);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSlowScroll } from "../index.js";
+import { createContext, installGlobals } from "./helpers/setup.js";
+
+test("uses the browser globals without the environment option", (t) => {
+  const { dom, driver, scheduler } = createContext();
+  t.after(installGlobals(dom));
+  const element = dom.createScrollArea();
+
+  const scroller = createSlowScroll({
+    target: element,
+    speed: 30,
+    scheduler,
+  });
+  driver.advance(1000);
+
+  assert.ok(Math.abs(element.scrollTop - 30) <= 1);
+  scroller.destroy();
+  assert.equal(element.listenerCount("scroll"), 0);
+});
+
+test("creates an instance without autoplay from the globals", (t) => {
+  const { dom } = createContext();
+  t.after(installGlobals(dom));
+  const element = dom.createScrollArea();
+
+  const scroller = createSlowScroll({ target: element, autoplay: false });
+
+  assert.equal(scroller.getState().status, "stopped");
+  scroller.destroy();
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("on() listens until the returned function is called", () => {
+  const { scroller } = setup({ speed: 30, autoplay: false });
+  const events = [];
+  const unsubscribe = scroller.on("start", (event) => events.push(event.type));
+
+  scroller.start();
+  scroller.stop();
+  unsubscribe();
+  scroller.start();
+
+  assert.deepEqual(events, ["start"]);
+});
+
+test("once() listens to a single event", () => {
+  const { scroller } = setup({ speed: 30, autoplay: false });
+  let calls = 0;
+  scroller.once("start", () => calls++);
+
+  scroller.start();
+  scroller.stop();
+  scroller.start();
+
+  assert.equal(calls, 1);
+});
+
+test("off() removes a once() listener by its function", () => {
+  const { scroller } = setup({ speed: 30, autoplay: false });
+  let calls = 0;
+  const listener = () => calls++;
+  scroller.once("start", listener);
+  scroller.on("stop", listener);
+
+  scroller.off("start", listener);
+  scroller.start();
+  scroller.stop();
+
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSlowScrollGroup } from "../index.js";
+import { createContext, installGlobals } from "./helpers/setup.js";
+
+/**
+ * Create a group of two scroll areas on the page globals (no environment),
+ * driven by virtual time
+ * @param {Object} t - Test context, restoring the globals afterwards
+ * @param {Object} [options] - Group options
+ */
+function setupGroup(t, options = {}) {
+  const { dom, driver, scheduler } = createContext();
+  t.after(installGlobals(dom));
+  const first = dom.createScrollArea();
+  const second = dom.createScrollArea();
+
+  const group = createSlowScrollGroup(
+    [
+      { target: first, speed: 30 },
+      { target: second, speed: 60 },
+    ],
+    { scheduler, ...options }
+  );
+  t.after(group.destroy);
+  return { group, first, second, driver };
+}
+
+test("drives every member from a single frame loop", (t) => {
+  const { group, first, second, driver } = setupGroup(t);
+
+  assert.equal(group.members.length, 2);
+  assert.equal(driver.pendingFrames(), 1);
+  driver.advance(1000);
+
+  assert.equal(driver.pendingFrames(), 1);
+  assert.ok(Math.abs(first.scrollTop - 30) <= 2);
+  assert.ok(Math.abs(second.scrollTop - 60) <= 2);
+  assert.equal(group.isRunning(), true);
+});
+
+test("setSpeedScale() scales every member", (t) => {
+  const { group, first, second, driver } = setupGroup(t);
+
+  driver.advance(1000);
+  const positions = [first.scrollTop, second.scrollTop];
+  group.setSpeedScale(2, { duration: 0 });
+  driver.advance(1000);
+
+  assert.equal(group.getSpeedScale(), 2);
+  assert.ok(Math.abs(first.scrollTop - positions[0] - 60) <= 2);
+  assert.ok(Math.abs(second.scrollTop - positions[1] - 120) <= 2);
+});
+
+test("setSpeedScale() warns and ignores negative scales", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { group } = setupGroup(t, { speedScale: 0.5 });
+
+  group.setSpeedScale(-1);
+
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(group.getSpeedScale(), 0.5);
+});
+
+test("pause() and resume() hold every member", (t) => {
+  const { group, first, second, driver } = setupGroup(t);
+
+  driver.advance(500);
+  group.pause("modal");
+  const positions = [first.scrollTop, second.scrollTop];
+  driver.advance(1000);
+
+  assert.deepEqual([first.scrollTop, second.scrollTop], positions);
+  group.members.forEach((member) =>
+    assert.deepEqual(member.getState(), {
+      status: "paused",
+      reasons: ["modal"],
+    })
+  );
+
+  group.resume("modal");
+  driver.advance(1000);
+  assert.ok(first.scrollTop > positions[0]);
+  assert.ok(second.scrollTop > positions[1]);
+});
+
+test("destroy() stops the shared loop", (t) => {
+  const { group, driver } = setupGroup(t);
+
+  group.destroy();
+
+  assert.equal(group.isRunning(), false);
+  assert.equal(driver.pendingFrames(), 0);
+});
@@ -0,0 +1,301 @@
+/**
+ * Minimal DOM for running the scroller in Node: elements with a fixed
+ * viewport size whose content is the sum of their children's sizes
+ */
+
+class FakeEventTarget {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  dispatchEvent(event) {
+    (this.listeners.get(event.type) ?? []).forEach((listener) =>
+      listener({ target: this, ...event })
+    );
+  }
+
+  listenerCount(type) {
+    return this.listeners.get(type)?.size ?? 0;
+  }
+}
+
+/**
+ * Create a window and document pair for the environment option
+ * @returns {Object} { window, document, createScrollArea, setReducedMotion, mutate }
+ */
+export function createFakeDom() {
+  class HTMLElement extends FakeEventTarget {
+    constructor({ size = 100, viewport = 500, style = {} } = {}) {
+      super();
+      this.nodeType = 1;
+      this.size = size; // Extent along both axes when used as a child
+      this.clientHeight = viewport;
+      this.clientWidth = viewport;
+      this.children = [];
+      this.parentElement = null;
+      this.attributes = new Map();
+      this.style = {};
+      this.computedStyle = {
+        overflowX: "auto",
+        overflowY: "auto",
+        direction: "ltr",
+        writingMode: "horizontal-tb",
+        ...style,
+      };
+      this.position = { x: 0, y: 0 };
+    }
+
+    get scrollHeight() {
+      return Math.max(
+        this.clientHeight,
+        this.children.reduce((total, child) => total + child.size, 0)
+      );
+    }
+
+    get scrollWidth() {
+      return Math.max(
+        this.clientWidth,
+        this.children.reduce((total, child) => total + child.size, 0)
+      );
+    }
+
+    get scrollTop() {
+      return this.position.y;
+    }
+
+    set scrollTop(value) {
+      this.position.y = this.clampScroll(
+        value,
+        this.scrollHeight - this.clientHeight
+      );
+      this.dispatchEvent({ type: "scroll" });
+    }
+
+    get scrollLeft() {
+      return this.position.x;
+    }
+
+    set scrollLeft(value) {
+      const max = this.scrollWidth - this.clientWidth;
+      // Right-to-left content scrolls from 0 towards negative positions
+      this.position.x =
+        this.computedStyle.direction === "rtl"
+          ? -this.clampScroll(-value, max)
+          : this.clampScroll(value, max);
+      this.dispatchEvent({ type: "scroll" });
+    }
+
+    get firstElementChild() {
+      return this.children[0] ?? null;
+    }
+
+    get isConnected() {
+      let top = this;
+      while (top.parentElement) {
+        top = top.parentElement;
+      }
+      return top === document.body || top === document.documentElement;
+    }
+
+    clampScroll(value, max) {
+      return Math.max(0, Math.min(value, Math.max(0, max)));
+    }
+
+    appendChild(child) {
+      child.parentElement = this;
+      this.children.push(child);
+      return child;
+    }
+
+    remove() {
+      if (this.parentElement) {
+        const siblings = this.parentElement.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentElement = null;
+      }
+    }
+
+    cloneNode() {
+      return new HTMLElement({ size: this.size });
+    }
+
+    contains(node) {
+      for (let current = node; current; current = current.parentElement) {
+        if (current === this) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    setAttribute(name, value) {
+      this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+      return this.attributes.get(name) ?? null;
+    }
+
+    hasAttribute(name) {
+      return this.attributes.has(name);
+    }
+
+    removeAttribute(name) {
+      this.attributes.delete(name);
+    }
+
+    // Attribute selectors ("[name]") only
+    querySelectorAll(selector) {
+      const name = /^\[([\w-]+)\]$/.exec(selector)?.[1];
+      const matches = [];
+      const visit = (element) => {
+        element.children.forEach((child) => {
+          if (name && child.hasAttribute(name)) {
+            matches.push(child);
+          }
+          visit(child);
+        });
+      };
+      visit(this);
+      return matches;
+    }
+
+    getBoundingClientRect() {
+      let top = 0;
+      if (this.parentElement) {
+        const parent = this.parentElement;
+        top = parent.getBoundingClientRect().top - parent.scrollTop;
+        for (const sibling of parent.children) {
+          if (sibling === this) {
+            break;
+          }
+          top += sibling.size;
+        }
+      }
+      const height = this.parentElement ? this.size : this.clientHeight;
+      return {
+        top,
+        left: top,
+        bottom: top + height,
+        right: top + height,
+        width: height,
+        height,
+      };
+    }
+  }
+
+  const document = new FakeEventTarget();
+  Object.assign(document, {
+    hidden: false,
+    activeElement: null,
+    body: new HTMLElement(),
+    documentElement: new HTMLElement({ viewport: 800 }),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: () => new HTMLElement(),
+  });
+
+  const reducedMotion = Object.assign(new FakeEventTarget(), {
+    matches: false,
+  });
+
+  // Records are only delivered when passed to mutate()
+  const mutationObservers = new Set();
+  class MutationObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.target = null;
+    }
+
+    observe(target) {
+      this.target = target;
+      mutationObservers.add(this);
+    }
+
+    disconnect() {
+      mutationObservers.delete(this);
+    }
+  }
+
+  const definitions = new Map(); // Custom element name -> class
+  const customElements = {
+    define: (name, constructor) => definitions.set(name, constructor),
+    get: (name) => definitions.get(name),
+  };
+
+  const window = new FakeEventTarget();
+  Object.assign(window, {
+    HTMLElement,
+    MutationObserver,
+    customElements,
+    document,
+    innerWidth: 800,
+    innerHeight: 800,
+    scrollX: 0,
+    scrollY: 0,
+    getComputedStyle: (element) => element.computedStyle,
+    matchMedia: () => reducedMotion,
+    scrollBy(x, y) {
+      this.scrollX += x;
+      this.scrollY += y;
+    },
+    scrollTo(x, y) {
+      this.scrollX = x;
+      this.scrollY = y;
+    },
+  });
+
+  /**
+   * Create a scrollable element with a number of equally sized children
+   * @param {Object} [options] - { viewport, items, itemSize, style }
+   */
+  function createScrollArea({
+    viewport = 500,
+    items = 20,
+    itemSize = 100,
+    style,
+  } = {}) {
+    const element = new HTMLElement({ viewport, style });
+    for (let i = 0; i < items; i++) {
+      element.appendChild(new HTMLElement({ size: itemSize }));
+    }
+    return element;
+  }
+
+  /**
+   * Switch prefers-reduced-motion and notify listeners
+   * @param {boolean} matches - Whether reduced motion is preferred
+   */
+  function setReducedMotion(matches) {
+    reducedMotion.matches = matches;
+    reducedMotion.dispatchEvent({ type: "change" });
+  }
+
+  /**
+   * Deliver mutation records to the observers watching their targets
+   * @param {Object[]} records - { target, addedNodes, removedNodes }
+   */
+  function mutate(records) {
+    Array.from(mutationObservers).forEach((observer) => {
+      const observed = records
+        .filter((record) => observer.target.contains(record.target))
+        .map((record) => ({ addedNodes: [], removedNodes: [], ...record }));
+      if (observed.length > 0) {
+        observer.callback(observed, observer);
+      }
+    });
+  }
+
+  return { window, document, createScrollArea, setReducedMotion, mutate };
+}
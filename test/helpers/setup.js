@@ -0,0 +1,56 @@
+import { createSlowScroll } from "../../index.js";
+import { createManualScheduler } from "../../testing.js";
+import { createFakeDom } from "./fake-dom.js";
+
+/**
+ * Create a fake DOM and virtual time, for tests that build their own
+ * instances (groups, bindings, autoInit)
+ * @returns {Object} { dom, driver, scheduler, environment }
+ */
+export function createContext() {
+  const dom = createFakeDom();
+  const driver = createManualScheduler();
+  const environment = { window: dom.window, userAgent: "" };
+  return { dom, driver, scheduler: driver.scheduler, environment };
+}
+
+/**
+ * Create a scroller on a fake scroll area, driven by virtual time
+ * @param {Object} [options] - Options passed to createSlowScroll()
+ * @param {Object|Function} [area] - Options passed to createScrollArea(), or a function building the target from the fake DOM
+ * @returns {Object} { scroller, element, driver, dom }
+ */
+export function setup(options = {}, area = {}) {
+  const { dom, driver, scheduler, environment } = createContext();
+  const element =
+    typeof area === "function" ? area(dom) : dom.createScrollArea(area);
+
+  const scroller = createSlowScroll({
+    target: element,
+    scheduler,
+    environment,
+    ...options,
+  });
+
+  return { scroller, element, driver, dom };
+}
+
+/**
+ * Make a fake DOM the browser globals (window and document), for code
+ * that runs without the environment option
+ * @param {Object} dom - Result of createFakeDom()
+ * @returns {Function} Restores the previous globals
+ */
+export function installGlobals(dom) {
+  const previous = {
+    window: globalThis.window,
+    document: globalThis.document,
+  };
+  globalThis.window = dom.window;
+  globalThis.document = dom.document;
+
+  return () => {
+    globalThis.window = previous.window;
+    globalThis.document = previous.document;
+  };
+}
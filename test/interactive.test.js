@@ -0,0 +1,178 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+/**
+ * Create an event with a spy on preventDefault()
+ * @param {string} type - Event type
+ * @param {Object} [fields] - Event fields (clientY, deltaY, ...)
+ */
+function createEvent(type, fields = {}) {
+  const event = {
+    type,
+    cancelable: true,
+    defaultPrevented: false,
+    preventDefault() {
+      event.defaultPrevented = true;
+    },
+    stopPropagation() {},
+    ...fields,
+  };
+  return event;
+}
+
+/**
+ * Drag with a finger along the vertical axis, one move per 16ms frame
+ * @param {Object} context - Result of setup()
+ * @param {number[]} points - clientY of the start and each move
+ */
+function drag({ element, driver, dom }, points) {
+  const [start, ...moves] = points;
+  element.dispatchEvent(
+    createEvent("touchstart", { touches: [{ clientY: start }] })
+  );
+  moves.forEach((clientY) => {
+    driver.advance(16);
+    dom.window.dispatchEvent(
+      createEvent("touchmove", { touches: [{ clientY }] })
+    );
+  });
+  dom.window.dispatchEvent(
+    createEvent("touchend", { changedTouches: [{ clientY: points.at(-1) }] })
+  );
+}
+
+test("drags the content and pauses while held", () => {
+  const context = setup({ speed: 30, interactive: true });
+  const { scroller, element, driver, dom } = context;
+  const reasons = [];
+  scroller.on("pause", ({ reason }) => reasons.push(reason));
+
+  element.dispatchEvent(
+    createEvent("touchstart", { touches: [{ clientY: 400 }] })
+  );
+  driver.advance(500);
+  dom.window.dispatchEvent(
+    createEvent("touchmove", { touches: [{ clientY: 300 }] })
+  );
+
+  assert.deepEqual(reasons, ["drag"]);
+  assert.equal(scroller.getState().status, "paused");
+  assert.equal(element.scrollTop, 100);
+
+  driver.advance(500);
+  dom.window.dispatchEvent(createEvent("touchend", { changedTouches: [] }));
+  driver.advance(1000);
+  assert.equal(scroller.getState().status, "running");
+  assert.ok(element.scrollTop > 100);
+});
+
+test("a flick coasts and decays back to the speed", () => {
+  const context = setup({
+    speed: 30,
+    interactive: true,
+    inertiaDuration: 1000,
+  });
+  const { scroller, element, driver } = context;
+
+  drag(context, [400, 380, 360, 340, 320]);
+  const released = element.scrollTop;
+  driver.advance(100);
+  // Faster than the auto-scroll right after the release
+  assert.ok(element.scrollTop - released > 10);
+
+  // Back to 30px per second
+  driver.advance(2000);
+  const coasted = element.scrollTop;
+  driver.advance(1000);
+  assert.ok(Math.abs(element.scrollTop - coasted - 30) <= 1);
+});
+
+test("a flick against the direction reverses it for a while", () => {
+  const context = setup({
+    speed: 30,
+    interactive: true,
+    inertiaDuration: 1000,
+  });
+  const { scroller, element, driver } = context;
+  element.scrollTop = 500;
+  const directions = [];
+  scroller.on("directionchange", ({ direction }) => directions.push(direction));
+
+  drag(context, [300, 320, 340, 360, 380]);
+  const released = element.scrollTop;
+  driver.advance(100);
+  assert.ok(element.scrollTop < released);
+
+  driver.advance(2000);
+  assert.deepEqual(directions, ["up", "down"]);
+  const coasted = element.scrollTop;
+  driver.advance(1000);
+  assert.ok(Math.abs(element.scrollTop - coasted - 30) <= 1);
+});
+
+test("a flick toward the start rests there instead of stopping", () => {
+  const context = setup({
+    speed: 30,
+    interactive: true,
+    inertiaDuration: 1000,
+  });
+  const { scroller, element, driver } = context;
+  element.scrollTop = 20;
+
+  drag(context, [300, 330, 360, 390]);
+  driver.advance(2000);
+
+  assert.equal(scroller.isRunning(), true);
+  assert.ok(element.scrollTop > 0);
+});
+
+test("the wheel flicks the content instead of pausing", () => {
+  const { scroller, element, driver } = setup({
+    speed: 30,
+    interactive: true,
+    pauseOnUserScroll: true,
+  });
+  const event = createEvent("wheel", { deltaY: 100, deltaMode: 0 });
+
+  element.dispatchEvent(event);
+  driver.advance(2000);
+
+  assert.equal(event.defaultPrevented, true);
+  assert.equal(scroller.isRunning(), true);
+  // About 100px more than the 60px of the auto-scroll
+  assert.ok(element.scrollTop > 140);
+});
+
+test("suppresses the click that ends a drag", () => {
+  const context = setup({ speed: 30, interactive: true });
+  const { element } = context;
+
+  drag(context, [400, 350]);
+  const dragClick = createEvent("click");
+  element.dispatchEvent(dragClick);
+  const click = createEvent("click");
+  element.dispatchEvent(click);
+
+  assert.equal(dragClick.defaultPrevented, true);
+  assert.equal(click.defaultPrevented, false);
+});
+
+test("uses pointer events and touch-action where supported", () => {
+  const { scroller, element, dom } = setup({ speed: 30 });
+  const listeners = element.listenerCount("pointerdown");
+  dom.window.PointerEvent = class {};
+  scroller.setConfig({ interactive: true });
+
+  assert.equal(element.style.touchAction, "pan-x");
+  element.dispatchEvent(
+    createEvent("pointerdown", { button: 0, clientY: 400 })
+  );
+  dom.window.dispatchEvent(createEvent("pointermove", { clientY: 350 }));
+  dom.window.dispatchEvent(createEvent("pointerup", { clientY: 350 }));
+  assert.equal(element.scrollTop, 50);
+
+  scroller.setConfig({ interactive: false });
+  assert.equal(element.style.touchAction, undefined);
+  assert.equal(element.listenerCount("pointerdown"), listeners);
+});
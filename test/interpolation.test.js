@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+/**
+ * Read the vertical offset of a translate3d() transform
+ */
+function getOffsetY(element) {
+  const match = /translate3d\(([^,]+), ([^,]+?)(?:px)?, 0\)/.exec(
+    element.style.transform
+  );
+  return match ? Number(match[2]) : null;
+}
+
+test("interpolates the progress between whole-pixel steps", () => {
+  const { element, driver } = setup({ speed: 30 });
+
+  driver.tick(); // First frame only records the time
+  driver.tick(); // Half way to the next step at 30px/s and 60Hz
+
+  assert.equal(element.scrollTop, 0);
+  assert.ok(Math.abs(getOffsetY(element) + 0.5) < 1e-9);
+});
+
+test("scrolls natively in whole pixels", () => {
+  const { element, driver } = setup({ speed: 30 });
+
+  for (let i = 0; i < 120; i++) {
+    driver.tick();
+    assert.equal(element.scrollTop % 1, 0);
+  }
+  assert.ok(Math.abs(element.scrollTop - 60) <= 1);
+});
+
+test("does not transform without interpolation", () => {
+  const { element, driver } = setup({ speed: 30, interpolation: false });
+
+  driver.advance(1000);
+
+  assert.equal(element.style.transform, undefined);
+  assert.ok(element.scrollTop >= 29);
+});
+
+test("keeps the transform at zero when heading into a boundary", () => {
+  const { element, driver } = setup({ speed: -30, autoplay: true });
+
+  driver.advance(500);
+
+  assert.equal(element.scrollTop, 0);
+  assert.equal(element.style.transform, "translate3d(0, 0, 0)");
+});
+
+test("resets the transform on stop", () => {
+  const { scroller, element, driver } = setup({ speed: 30 });
+
+  driver.advance(250);
+  scroller.stop();
+
+  assert.equal(element.style.transform, "translate3d(0, 0, 0)");
+  assert.equal(element.style.willChange, "auto");
+});
+
+test("mirrors the transform in right-to-left layouts", () => {
+  const { element, driver } = setup(
+    { speed: 30, isHorizontal: true },
+    { style: { direction: "rtl" } }
+  );
+
+  driver.tick();
+  driver.tick();
+
+  assert.equal(element.style.transform, "translate3d(0.5px, 0, 0)");
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+/**
+ * Append items to a scroll area and report them to its MutationObserver
+ * @param {Object} context - Result of setup()
+ * @param {number} count - Number of 100px items to append
+ */
+function appendItems({ element, dom }, count) {
+  const added = [];
+  for (let i = 0; i < count; i++) {
+    added.push(element.appendChild(new dom.window.HTMLElement()));
+  }
+  dom.mutate([{ target: element, addedNodes: added }]);
+}
+
+test("onNearEnd() fires once near the end and again after appending", () => {
+  const context = setup({ speed: 300 });
+  const { scroller, element, driver } = context;
+  const calls = [];
+  scroller.onNearEnd(200, ({ remaining, direction }) => {
+    calls.push({ remaining, direction, position: element.scrollTop });
+    if (calls.length === 1) {
+      appendItems(context, 10);
+    }
+  });
+
+  driver.advance(6000);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].direction, "down");
+  assert.ok(calls[0].remaining <= 200);
+  // Scrolling went on past the old end (1500px)
+  assert.ok(element.scrollTop > 1500);
+  assert.equal(scroller.isRunning(), true);
+
+  driver.advance(4000);
+  assert.equal(calls.length, 2);
+  assert.ok(Math.abs(calls[1].position - 2300) <= 2);
+});
+
+test("onNearEnd() stops calling after the returned function", () => {
+  const { scroller, driver } = setup({ speed: 300 });
+  let calls = 0;
+  const remove = scroller.onNearEnd(200, () => calls++);
+
+  remove();
+  driver.advance(6000);
+
+  assert.equal(calls, 0);
+});
+
+test("appended content extends the loop period", () => {
+  const context = setup({ speed: 600, loop: true });
+  const { element, driver } = context;
+
+  driver.advance(1000);
+  appendItems(context, 5);
+  const positions = [];
+  for (let i = 0; i < 8; i++) {
+    driver.advance(500);
+    positions.push(element.scrollTop);
+  }
+
+  // 25 items and one copy of each
+  assert.equal(element.children.length, 50);
+  assert.ok(Math.max(...positions) > 2000);
+  assert.ok(positions.every((position) => position < 2500));
+});
+
+test("appended content keeps the duration", () => {
+  const context = setup({ duration: 10000 });
+  const { scroller, element, driver } = context;
+
+  driver.advance(5000);
+  appendItems(context, 15);
+  driver.advance(5100);
+
+  // 3000px instead of 1500px in the same 10 seconds
+  assert.equal(element.scrollTop, 3000);
+  assert.equal(scroller.isRunning(), false);
+});
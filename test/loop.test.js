@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+/**
+ * Run a looping scroller and sample its position every 500ms
+ * @param {Object} context - Result of setup()
+ * @param {number} count - Number of samples
+ * @returns {Object} { positions, events } with the boundary, direction and stop events seen
+ */
+function sample({ scroller, element, driver }, count) {
+  const events = [];
+  ["boundary", "directionchange", "stop"].forEach((type) =>
+    scroller.on(type, () => events.push(type))
+  );
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    driver.advance(500);
+    positions.push(element.scrollTop);
+  }
+  return { positions, events };
+}
+
+test("wraps forward by one period of content", () => {
+  const context = setup({ speed: 600, loop: true });
+  const { positions, events } = sample(context, 8);
+
+  // 20 items of 100px, repeated once
+  assert.equal(context.element.children.length, 40);
+  assert.ok(positions.every((position) => position >= 0 && position < 2000));
+  assert.ok(positions[6] < positions[5]);
+  assert.ok(Math.abs(positions[7] - positions[6] - 300) <= 2);
+  assert.deepEqual(events, []);
+  assert.equal(context.scroller.isRunning(), true);
+});
+
+test("wraps backward from the start with a negative speed", () => {
+  const context = setup({ speed: -600, loop: true });
+  const { positions, events } = sample(context, 8);
+
+  assert.ok(positions.every((position) => position > 0 && position <= 2000));
+  assert.ok(positions[6] > positions[5]);
+  assert.ok(Math.abs(positions[6] - positions[7] - 300) <= 2);
+  assert.deepEqual(events, []);
+});
+
+test("repeats content shorter than the viewport until it fills it", () => {
+  [200, -200].forEach((speed) => {
+    const context = setup({ speed, loop: true }, { items: 3 });
+    const { positions, events } = sample(context, 8);
+
+    // 300px of content in a 500px viewport: two more copies
+    assert.equal(context.element.children.length, 9);
+    assert.ok(positions.every((position) => position >= 0 && position <= 300));
+    assert.ok(new Set(positions).size > 2); // Still moving
+    assert.deepEqual(events, []);
+  });
+});
+
+test("removes the copies on stop()", () => {
+  const { scroller, element } = setup({ speed: 30, loop: true }, { items: 3 });
+
+  scroller.stop();
+
+  assert.equal(element.children.length, 3);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPauseControl } from "../index.js";
+import { setup } from "./helpers/setup.js";
+
+/**
+ * Create a scroller with a pause control in a toolbar, on the environment
+ * of the scroller only
+ * @param {Object} [options] - Options passed to createSlowScroll()
+ */
+function setupControl(options = {}) {
+  const context = setup({ speed: 30, ...options });
+  const toolbar = new context.dom.window.HTMLElement();
+  const control = createPauseControl(context.scroller, {
+    container: toolbar,
+    environment: { window: context.dom.window },
+  });
+  return { ...context, toolbar, control, button: control.element };
+}
+
+test("toggles the control pause on click", () => {
+  const { scroller, toolbar, button } = setupControl();
+
+  assert.deepEqual(toolbar.children, [button]);
+  assert.equal(button.textContent, "Pause scrolling");
+
+  button.dispatchEvent({ type: "click" });
+  assert.deepEqual(scroller.getState().reasons, ["control"]);
+  assert.equal(button.textContent, "Play scrolling");
+
+  button.dispatchEvent({ type: "click" });
+  assert.equal(scroller.getState().status, "running");
+  assert.equal(button.textContent, "Pause scrolling");
+});
+
+test("the label follows pauses held by other reasons", () => {
+  const { scroller, dom, button } = setupControl();
+
+  dom.setReducedMotion(true);
+  assert.equal(button.textContent, "Play scrolling");
+
+  // Still once reduced motion is turned off again
+  button.dispatchEvent({ type: "click" });
+  dom.setReducedMotion(false);
+  assert.deepEqual(scroller.getState().reasons, ["control"]);
+  assert.equal(button.textContent, "Play scrolling");
+
+  scroller.resume("control");
+  assert.equal(button.textContent, "Pause scrolling");
+});
+
+test("starts a stopped scroller", () => {
+  const { scroller, button } = setupControl({ autoplay: false });
+
+  assert.equal(button.textContent, "Play scrolling");
+  button.dispatchEvent({ type: "click" });
+
+  assert.equal(scroller.isRunning(), true);
+  assert.equal(button.textContent, "Pause scrolling");
+});
+
+test("destroy() removes the button and releases its pause", () => {
+  const { scroller, toolbar, button, control } = setupControl();
+
+  button.dispatchEvent({ type: "click" });
+  control.destroy();
+
+  assert.deepEqual(toolbar.children, []);
+  assert.equal(button.listenerCount("click"), 0);
+  assert.equal(scroller.getState().status, "running");
+});
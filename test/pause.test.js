@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("pause() holds the position and resume() continues", () => {
+  const { scroller, element, driver } = setup({ speed: 60 });
+
+  driver.advance(1000);
+  scroller.pause();
+  const position = element.scrollTop;
+  driver.advance(1000);
+
+  assert.equal(element.scrollTop, position);
+  assert.deepEqual(scroller.getState(), {
+    status: "paused",
+    reasons: ["manual"],
+  });
+
+  scroller.resume();
+  driver.advance(1000);
+
+  // The paused second is not caught up
+  assert.ok(Math.abs(element.scrollTop - position - 60) <= 2);
+  assert.equal(scroller.getState().status, "running");
+});
+
+test("pauses are reference-counted per reason", () => {
+  const { scroller } = setup({ speed: 60 });
+
+  scroller.pause("modal");
+  scroller.pause("modal");
+  scroller.pause("tour");
+  scroller.resume("modal");
+  assert.deepEqual(scroller.getState().reasons, ["modal", "tour"]);
+
+  scroller.resume("modal");
+  scroller.resume("tour");
+  assert.equal(scroller.getState().status, "running");
+});
+
+test("emits pause and resume once per transition", () => {
+  const { scroller } = setup({ speed: 60 });
+  const events = [];
+  scroller.on("pause", ({ reason }) => events.push(`pause:${reason}`));
+  scroller.on("resume", ({ reason }) => events.push(`resume:${reason}`));
+
+  scroller.pause("a");
+  scroller.pause("b");
+  scroller.resume("a");
+  scroller.resume("b");
+
+  assert.deepEqual(events, ["pause:a", "resume:b"]);
+});
+
+test("suspends the animation loop while paused", () => {
+  const { scroller, driver } = setup({ speed: 60 });
+
+  driver.tick();
+  scroller.pause();
+  driver.tick();
+
+  assert.equal(driver.pendingFrames(), 0);
+});
+
+test("pauses while the user scrolls with the wheel", () => {
+  const { scroller, element, driver } = setup({
+    speed: 60,
+    userScrollResumeDelay: 200,
+  });
+
+  driver.advance(500);
+  element.dispatchEvent({ type: "wheel" });
+  assert.deepEqual(scroller.getState().reasons, ["user-scroll"]);
+
+  driver.advance(100);
+  element.dispatchEvent({ type: "wheel" });
+  driver.advance(150);
+  assert.equal(scroller.getState().status, "paused");
+
+  driver.advance(100);
+  assert.equal(scroller.getState().status, "running");
+});
+
+test("pauses for prefers-reduced-motion by default", () => {
+  const { scroller, dom } = setup({ speed: 60 });
+
+  dom.setReducedMotion(true);
+  assert.deepEqual(scroller.getState().reasons, ["reduced-motion"]);
+
+  dom.setReducedMotion(false);
+  assert.equal(scroller.getState().status, "running");
+});
+
+test("resumes from an overscroll that overlapped another pause", () => {
+  const { scroller, element, driver } = setup({ speed: 60 });
+
+  driver.advance(500);
+  // Elastic scrolling past the start, then a touch while it settles
+  element.position.y = -50;
+  driver.tick();
+  scroller.pause("touch");
+  assert.deepEqual(scroller.getState().reasons, ["overscroll", "touch"]);
+  driver.advance(100);
+  assert.equal(driver.pendingFrames(), 0);
+
+  element.position.y = 10;
+  scroller.resume("touch");
+  driver.advance(500);
+
+  assert.deepEqual(scroller.getState(), { status: "running", reasons: [] });
+  assert.ok(element.scrollTop > 10);
+});
+
+test("stop() forgets every pause", () => {
+  const { scroller } = setup({ speed: 60 });
+
+  scroller.pause();
+  scroller.stop();
+
+  assert.deepEqual(scroller.getState(), { status: "stopped", reasons: [] });
+});
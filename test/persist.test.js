@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSlowScroll } from "../index.js";
+import { setup } from "./helpers/setup.js";
+
+/**
+ * Storage adapter backed by a Map
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+/**
+ * Create a second instance on the same page, as after a reload
+ * @param {Object} page - Result of setup()
+ * @param {Object} [options] - Options passed to createSlowScroll()
+ */
+function reload({ element, driver, dom }, options) {
+  return createSlowScroll({
+    target: element,
+    scheduler: driver.scheduler,
+    environment: { window: dom.window, userAgent: "" },
+    ...options,
+  });
+}
+
+test("saves the position, direction, speed and state", () => {
+  const storage = createStorage();
+  const { element, driver, dom } = setup({
+    speed: 60,
+    persist: "credits",
+    persistStorage: storage,
+  });
+
+  driver.advance(1000);
+  assert.notEqual(storage.getItem("credits"), null); // Saved while scrolling
+
+  dom.window.dispatchEvent({ type: "pagehide" });
+  const state = JSON.parse(storage.getItem("credits"));
+
+  assert.equal(state.position.y, element.scrollTop);
+  assert.equal(state.direction, 1);
+  assert.equal(state.speed, 60);
+  assert.equal(state.status, "running");
+});
+
+test("start() continues from the saved position and speed", () => {
+  const storage = createStorage();
+  const page = setup({
+    speed: 30,
+    persist: "credits",
+    persistStorage: storage,
+  });
+  page.scroller.setSpeed(60);
+  page.driver.advance(2000);
+  page.scroller.destroy();
+  const position = page.element.scrollTop;
+
+  // The browser restores nothing: the page starts over at the top
+  page.element.scrollTop = 0;
+  const scroller = reload(page, {
+    speed: 30,
+    persist: "credits",
+    persistStorage: storage,
+  });
+  page.driver.advance(1000);
+
+  assert.equal(scroller.getConfig().speed, 60);
+  assert.ok(Math.abs(page.element.scrollTop - (position + 60)) <= 2);
+});
+
+test("a bounce continues in the direction it was heading", () => {
+  const storage = createStorage();
+  const page = setup({
+    speed: 600,
+    bounce: true,
+    persist: "credits",
+    persistStorage: storage,
+  });
+  page.driver.advance(3000); // Past the bottom at 1500, heading up
+  page.scroller.destroy();
+  const position = page.element.scrollTop;
+
+  const scroller = reload(page, {
+    speed: 600,
+    bounce: true,
+    persist: "credits",
+    persistStorage: storage,
+  });
+  page.driver.advance(500);
+
+  assert.equal(scroller.getState().status, "running");
+  assert.ok(page.element.scrollTop < position);
+});
+
+test("restores the paused and stopped states", () => {
+  const storage = createStorage();
+  const options = { persist: "credits", persistStorage: storage };
+  const page = setup(options);
+
+  page.driver.advance(500);
+  page.scroller.pause();
+  page.scroller.destroy();
+  const paused = reload(page, options);
+  assert.equal(paused.getState().status, "paused");
+  assert.deepEqual(paused.getState().reasons, ["manual"]);
+
+  paused.stop();
+  const stopped = reload(page, options);
+  assert.equal(stopped.isRunning(), false);
+
+  // An explicit start() still starts, from the saved position
+  stopped.start();
+  assert.equal(stopped.getState().status, "running");
+});
+
+test("uses localStorage or sessionStorage by name", () => {
+  const page = setup({ autoplay: false });
+  const local = createStorage();
+  page.dom.window.localStorage = local;
+
+  const scroller = reload(page, {
+    persist: "credits",
+    persistStorage: "local",
+  });
+  scroller.stop();
+
+  assert.equal(JSON.parse(local.getItem("credits")).status, "stopped");
+  assert.throws(
+    () => reload(page, { persist: "credits", persistStorage: "cookie" }),
+    /persistStorage/
+  );
+  assert.throws(() => reload(page, { persist: 42 }), /persist/);
+});
+
+test("reports storage errors once", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { driver } = setup({
+    persist: "credits",
+    persistStorage: {
+      getItem: () => null,
+      setItem: () => {
+        throw new Error("QuotaExceededError");
+      },
+    },
+  });
+
+  driver.advance(3000);
+
+  assert.equal(warn.mock.callCount(), 1);
+});
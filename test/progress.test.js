@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("getProgress() reports the position from 0 to 1", () => {
+  const { scroller, driver } = setup({ speed: 300 });
+
+  assert.equal(scroller.getProgress(), 0);
+  driver.advance(2500);
+
+  assert.ok(Math.abs(scroller.getProgress() - 0.5) < 0.01);
+});
+
+test("getProgress() is null while stopped", () => {
+  const { scroller } = setup({ autoplay: false });
+
+  assert.equal(scroller.getProgress(), null);
+});
+
+test("seek() jumps to a progress, an offset or an element", () => {
+  const { scroller, element } = setup({ speed: 30 });
+
+  scroller.seek(0.5);
+  assert.equal(element.scrollTop, 750);
+
+  scroller.seek({ offset: 120.4 });
+  assert.equal(element.scrollTop, 120);
+
+  scroller.seek(element.children[3]);
+  assert.equal(element.scrollTop, 300);
+});
+
+test("seek() resets the interpolation and keeps scrolling", () => {
+  const { scroller, element, driver } = setup({ speed: 30 });
+
+  driver.tick();
+  driver.tick();
+  assert.notEqual(element.style.transform, "translate3d(0, 0, 0)");
+
+  scroller.seek(0.5);
+  assert.equal(element.style.transform, "translate3d(0, 0, 0)");
+
+  driver.advance(1000);
+  assert.ok(element.scrollTop >= 779 && element.scrollTop <= 780);
+});
+
+test("seek() ignores invalid targets", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { scroller, element } = setup({ speed: 30 });
+
+  scroller.seek(300);
+
+  assert.equal(element.scrollTop, 0);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("animateTo() eases to the target in whole-pixel steps", async () => {
+  const { scroller, element, driver } = setup({ speed: 30 });
+
+  const arrival = scroller.animateTo({ offset: 1000 }, { duration: 500 });
+  let previous = element.scrollTop;
+  for (let i = 0; i < 31; i++) {
+    driver.tick();
+    assert.equal(element.scrollTop % 1, 0);
+    assert.ok(element.scrollTop >= previous);
+    previous = element.scrollTop;
+  }
+
+  assert.equal(element.scrollTop, 1000);
+  assert.equal(await arrival, true);
+});
+
+test("animateTo() derives the duration from a speed", () => {
+  const { scroller, element, driver } = setup({ speed: 30 });
+
+  scroller.animateTo({ offset: 600 }, { speed: 1200 });
+  driver.advance(400);
+  assert.ok(element.scrollTop < 600);
+
+  driver.advance(120);
+  assert.equal(element.scrollTop, 600);
+});
+
+test("animateTo() resumes the auto-scroll on arrival", () => {
+  const { scroller, element, driver } = setup({ speed: 60 });
+
+  scroller.animateTo(0.2, { duration: 100 });
+  driver.advance(120); // The first frame only records the time
+  assert.equal(element.scrollTop, 300);
+
+  driver.advance(1000);
+  assert.ok(element.scrollTop >= 358 && element.scrollTop <= 360);
+});
+
+test("animateTo() resolves to false when interrupted", async () => {
+  const { scroller, driver } = setup({ speed: 30 });
+
+  const first = scroller.animateTo(1);
+  driver.advance(100);
+  const second = scroller.animateTo(0.5);
+  driver.advance(100);
+  scroller.stop();
+
+  assert.equal(await first, false);
+  assert.equal(await second, false);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("turns off smooth scrolling and snapping while auto-scrolling", () => {
+  const { scroller, element, driver } = setup(
+    { speed: 60, autoplay: false },
+    { style: { scrollBehavior: "smooth", scrollSnapType: "y mandatory" } }
+  );
+  element.style.scrollSnapType = "y mandatory";
+  scroller.start();
+
+  assert.equal(element.style.scrollBehavior, "auto");
+  assert.equal(element.style.scrollSnapType, "none");
+  driver.advance(1000);
+  assert.ok(element.scrollTop >= 58);
+
+  scroller.stop();
+
+  // The previous inline styles come back
+  assert.equal(element.style.scrollBehavior, undefined);
+  assert.equal(element.style.scrollSnapType, "y mandatory");
+});
+
+test("leaves the styles alone when they do not interfere", () => {
+  const { element } = setup(
+    { speed: 60 },
+    { style: { scrollSnapType: "none" } }
+  );
+
+  assert.equal(element.style.scrollBehavior, undefined);
+  assert.equal(element.style.scrollSnapType, undefined);
+});
+
+test("snap mode dwells at each snap point", () => {
+  const { scroller, element, driver } = setup(
+    { speed: 300, snap: true, waypointDwell: 1000, waypointTransition: 200 },
+    { style: { scrollSnapType: "y mandatory" } }
+  );
+  // Snap the start of items 5 and 10, and center item 15 (at 1500-1600px)
+  element.children[5].computedStyle.scrollSnapAlign = "start";
+  element.children[10].computedStyle.scrollSnapAlign = "start";
+  element.children[15].computedStyle.scrollSnapAlign = "center";
+  scroller.stop();
+  scroller.start();
+
+  const reached = [];
+  scroller.on("waypointreach", ({ offset, element: item }) =>
+    reached.push([offset, element.children.indexOf(item)])
+  );
+
+  driver.advance(10000);
+
+  assert.deepEqual(reached, [
+    [500, 5],
+    [1000, 10],
+    [1300, 15],
+  ]);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("getStats() is null unless statistics are collected", () => {
+  const { scroller } = setup({ speed: 30 });
+
+  assert.equal(scroller.getStats(), null);
+});
+
+test("records steps, interpolated frames and the effective speed", () => {
+  const { scroller, driver } = setup({ speed: 30, stats: true });
+
+  driver.advance(2000);
+  const stats = scroller.getStats();
+
+  assert.equal(stats.requestedSpeed, 30);
+  assert.ok(Math.abs(stats.effectiveSpeed - 30) <= 1);
+  assert.ok(Math.abs(stats.steps - 60) <= 1);
+  assert.equal(stats.scrolledDistance, stats.steps);
+  assert.ok(stats.interpolatedFrames > stats.frames / 2);
+  assert.equal(stats.longFrames, 0);
+  assert.equal(stats.droppedFrames, 0);
+});
+
+test("counts long and dropped frames", () => {
+  const { scroller, driver } = setup({ speed: 30, stats: true });
+
+  driver.advance(500);
+  driver.tick(1000 / 20); // Two frames dropped at 60Hz
+  driver.tick(1000 / 10); // Five frames dropped, and a long frame
+  const stats = scroller.getStats();
+
+  assert.equal(stats.droppedFrames, 7);
+  assert.equal(stats.longFrames, 1);
+});
+
+test("measures the time paused by reason", () => {
+  const { scroller, driver } = setup({ speed: 30, stats: true });
+
+  scroller.pause("modal");
+  driver.advance(300);
+  scroller.resume("modal");
+  scroller.pause();
+  driver.advance(200);
+
+  const { pausedTime } = scroller.getStats();
+  assert.deepEqual(Object.keys(pausedTime), ["modal", "manual"]);
+  assert.ok(Math.abs(pausedTime.modal - 300) < 1e-6);
+  assert.ok(Math.abs(pausedTime.manual - 200) < 1e-6);
+});
+
+test("reports every statsInterval to onStats and listeners", () => {
+  const reports = [];
+  const { scroller, driver } = setup({
+    speed: 30,
+    stats: true,
+    statsInterval: 500,
+    onStats: (stats) => reports.push(stats.frames),
+  });
+  let events = 0;
+  scroller.on("stats", () => events++);
+
+  driver.advance(2100);
+
+  assert.equal(reports.length, 4);
+  assert.equal(events, 4);
+});
+
+test("shows the overlay while running", () => {
+  const { scroller, driver, dom } = setup({ speed: 30, statsOverlay: true });
+  const overlay = dom.document.body.children.at(-1);
+
+  assert.ok(overlay.hasAttribute("data-slow-scroll-stats"));
+  driver.advance(1100);
+  assert.match(overlay.textContent, /\/ 30 px\/s/);
+
+  scroller.stop();
+  assert.equal(dom.document.body.children.includes(overlay), false);
+  assert.notEqual(scroller.getStats(), null);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSlowScroll } from "../index.js";
+import { createContext, setup } from "./helpers/setup.js";
+
+/**
+ * Create a scroller in transform mode on an overflow: hidden frame
+ * (500px) around content of 20 items of 100px
+ * @param {Object} [options] - Options passed to createSlowScroll()
+ */
+function setupFrame(options = {}) {
+  const context = setup({ mode: "transform", ...options }, (dom) => {
+    const frame = new dom.window.HTMLElement({
+      style: { overflowX: "hidden", overflowY: "hidden" },
+    });
+    frame.appendChild(dom.createScrollArea());
+    return frame;
+  });
+  const frame = context.element;
+  return { ...context, frame, content: frame.firstElementChild };
+}
+
+/**
+ * Read the offsets of a translate3d() transform
+ * @param {HTMLElement} element - Element with a transform
+ * @returns {number[]} [x, y] in pixels
+ */
+function getTranslate(element) {
+  const match = /translate3d\(([^,]+), ([^,]+), 0\)/.exec(
+    element.style.transform
+  );
+  return [parseFloat(match[1]), parseFloat(match[2])];
+}
+
+test("moves the content with translate3d instead of scrolling", () => {
+  const { scroller, frame, content, driver } = setupFrame({ speed: 30 });
+
+  driver.advance(1000);
+  const [, y] = getTranslate(content);
+
+  assert.equal(frame.scrollTop, 0);
+  assert.ok(Math.abs(y + 30) <= 1);
+  assert.ok(y % 1 !== 0 || y === -30); // Sub-pixel positions
+  assert.ok(Math.abs(scroller.getProgress() - 30 / 1500) < 0.001);
+});
+
+test("stops at the end of the content like native scrolling", () => {
+  const boundaries = [];
+  const { scroller, content, driver } = setupFrame({
+    speed: 600,
+    onBoundaryReached: (boundary) => boundaries.push(boundary),
+  });
+
+  driver.advance(4000);
+
+  assert.deepEqual(boundaries, ["bottom"]);
+  assert.equal(scroller.isRunning(), false);
+  // The content stays where it stopped
+  assert.ok(getTranslate(content)[1] <= -1499);
+});
+
+test("bounces between the bounds of the content", () => {
+  const { scroller, content, driver } = setupFrame({
+    speed: 600,
+    bounce: true,
+  });
+  const directions = [];
+  scroller.on("directionchange", ({ direction }) => directions.push(direction));
+
+  driver.advance(3000);
+
+  assert.deepEqual(directions, ["up"]);
+  assert.ok(getTranslate(content)[1] > -1500);
+});
+
+test("moves horizontally and keeps the position across stop()", () => {
+  const { scroller, content, driver } = setupFrame({
+    speed: 60,
+    isHorizontal: true,
+    interpolation: false,
+  });
+
+  driver.advance(1000);
+  scroller.stop();
+  const [x] = getTranslate(content);
+  scroller.start();
+  driver.advance(1000);
+
+  assert.ok(Math.abs(x + 60) <= 2);
+  assert.ok(Math.abs(getTranslate(content)[0] - (x - 60)) <= 2);
+  assert.ok(Number.isInteger(getTranslate(content)[0]));
+});
+
+test("seek() jumps within the content", () => {
+  const { scroller, content } = setupFrame({ speed: 30 });
+
+  scroller.seek(0.5);
+
+  assert.deepEqual(getTranslate(content), [0, -750]);
+});
+
+test("requires a content element and a valid mode", () => {
+  const { dom, environment } = createContext();
+  const empty = new dom.window.HTMLElement();
+
+  assert.throws(
+    () => createSlowScroll({ target: empty, mode: "transform", environment }),
+    /content element/
+  );
+  assert.throws(
+    () => createSlowScroll({ target: empty, mode: "virtual", environment }),
+    /mode/
+  );
+
+  const { scroller } = setupFrame();
+  assert.throws(() => scroller.setConfig({ mode: "native" }), /mode/);
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+test("rejects a velocity that is not a vector", () => {
+  [5, "fast", { x: "10" }].forEach((velocity) =>
+    assert.throws(() => setup({ velocity }), /"velocity" must be an object/)
+  );
+});
+
+/**
+ * Record the boundary, direction and stop events of a scroller
+ * @param {Object} scroller - Scroller instance
+ */
+function recordAxisEvents(scroller) {
+  const events = [];
+  scroller.on("boundary", ({ boundary, axis }) =>
+    events.push(["boundary", boundary, axis])
+  );
+  scroller.on("directionchange", ({ direction, axis }) =>
+    events.push(["directionchange", direction, axis])
+  );
+  scroller.on("stop", () => events.push(["stop"]));
+  return events;
+}
+
+test("scrolls both axes along the vector", () => {
+  const { element, driver } = setup({ velocity: { x: 60, y: 30 } });
+
+  driver.advance(1000);
+
+  assert.ok(Math.abs(element.scrollLeft - 60) <= 2);
+  assert.ok(Math.abs(element.scrollTop - 30) <= 2);
+});
+
+test("each axis stops at its own boundary", () => {
+  const { scroller, element, driver } = setup({ velocity: { x: 600, y: 200 } });
+  const events = recordAxisEvents(scroller);
+
+  driver.advance(4000);
+  // The horizontal axis is done, the vertical one goes on
+  assert.deepEqual(events, [["boundary", "right", "x"]]);
+  assert.ok(element.scrollLeft >= 1499);
+  assert.equal(scroller.isRunning(), true);
+
+  driver.advance(4000);
+  assert.deepEqual(events.slice(1), [["boundary", "bottom", "y"], ["stop"]]);
+  assert.ok(element.scrollTop >= 1499);
+  assert.equal(scroller.isRunning(), false);
+});
+
+test("bounces per axis with bounce { x, y }", () => {
+  const { scroller, element, driver } = setup({
+    velocity: { x: 600, y: 200 },
+    bounce: { x: true, y: false },
+  });
+  const events = recordAxisEvents(scroller);
+
+  driver.advance(3000);
+  assert.deepEqual(events, [["directionchange", "left", "x"]]);
+  assert.ok(element.scrollLeft < 1500);
+
+  driver.advance(5000);
+  assert.deepEqual(events.slice(-2), [
+    ["directionchange", "left", "x"],
+    ["boundary", "bottom", "y"],
+  ]);
+  // The bouncing axis keeps the scroller running
+  assert.equal(scroller.isRunning(), true);
+  const x = element.scrollLeft;
+  driver.advance(500);
+  assert.notEqual(element.scrollLeft, x);
+  assert.ok(element.scrollTop >= 1499);
+});
+
+test("bounces off the start with a negative component", () => {
+  const { scroller, element, driver } = setup(
+    { velocity: { x: 300, y: -300 }, bounce: true, autoplay: false },
+    { items: 20 }
+  );
+  element.scrollTop = 600;
+  const events = recordAxisEvents(scroller);
+  scroller.start();
+
+  driver.advance(3000);
+
+  assert.deepEqual(events, [["directionchange", "down", "y"]]);
+  assert.ok(Math.abs(element.scrollTop - 300) <= 10);
+  assert.ok(Math.abs(element.scrollLeft - 900) <= 10);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+/**
+ * Record the waypoint events of a scroller with the time they fired
+ * @param {Object} context - Result of setup()
+ */
+function recordWaypoints({ scroller, driver }) {
+  const events = [];
+  ["waypointreach", "waypointleave"].forEach((type) =>
+    scroller.on(type, ({ index, offset }) =>
+      events.push({ type, index, offset, time: driver.now() })
+    )
+  );
+  return events;
+}
+
+test("stops at each waypoint, dwells and moves on", () => {
+  const context = setup({
+    speed: 100,
+    waypoints: [300, 800],
+    waypointDwell: 1000,
+    waypointTransition: 200,
+  });
+  const { element, driver } = context;
+  const events = recordWaypoints(context);
+
+  driver.advance(3500);
+  assert.equal(element.scrollTop, 300); // Resting at the first waypoint
+
+  driver.advance(8500);
+  assert.deepEqual(
+    events.map(({ type, index, offset }) => [type, index, offset]),
+    [
+      ["waypointreach", 0, 300],
+      ["waypointleave", 0, 300],
+      ["waypointreach", 1, 800],
+      ["waypointleave", 1, 800],
+    ]
+  );
+  // The dwell time passes between reaching and leaving
+  assert.ok(Math.abs(events[1].time - events[0].time - 1000) <= 50);
+  assert.ok(element.scrollTop > 800);
+});
+
+test("eases into a waypoint instead of stopping abruptly", () => {
+  const { element, driver } = setup({
+    speed: 100,
+    waypoints: [300],
+    waypointTransition: 1000,
+  });
+
+  driver.advance(2900);
+  const approach = element.scrollTop;
+  driver.advance(200);
+  const closer = element.scrollTop;
+
+  // Slower than the 20px the speed would cover in 200ms, without overshooting
+  assert.ok(closer > approach);
+  assert.ok(closer - approach < 20);
+  assert.ok(closer <= 300);
+});
+
+test("uses the dwell time of an element waypoint", () => {
+  const context = setup(
+    { speed: 100, waypointDwell: 5000, waypointTransition: 0 },
+    { items: 20 }
+  );
+  const { scroller, element, driver } = context;
+  const target = element.children[3];
+  target.setAttribute("data-slow-scroll-dwell", "500");
+  scroller.setConfig({ waypoints: [target] });
+  const events = recordWaypoints(context);
+
+  driver.advance(6000);
+
+  assert.deepEqual(
+    events.map(({ type, offset }) => [type, offset]),
+    [
+      ["waypointreach", 300],
+      ["waypointleave", 300],
+    ]
+  );
+  assert.ok(Math.abs(events[1].time - events[0].time - 500) <= 50);
+});
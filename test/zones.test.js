@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers/setup.js";
+
+// The reference line sits 250px into the 500px viewport by default
+
+test("reads speed multipliers from data-slow-scroll-speed", () => {
+  const { scroller, element, driver } = setup({ speed: 60, autoplay: false });
+  // Items 5 to 9 span 500-1000px
+  element.children
+    .slice(5, 10)
+    .forEach((child) => child.setAttribute("data-slow-scroll-speed", "0.5"));
+  scroller.start();
+
+  driver.advance(1000);
+  assert.ok(Math.abs(element.scrollTop - 60) <= 3);
+
+  scroller.seek({ offset: 400 });
+  driver.advance(1000);
+  assert.ok(Math.abs(element.scrollTop - 430) <= 3);
+});
+
+test("accepts zones as ranges of offsets", () => {
+  const { element, driver } = setup({
+    speed: 60,
+    zones: [{ start: 0, end: 1000, speed: 2 }],
+  });
+
+  driver.advance(1000);
+
+  assert.ok(Math.abs(element.scrollTop - 120) <= 3);
+});
+
+test("blends the speed across the zone edges", () => {
+  const { scroller, element, driver } = setup({
+    speed: 60,
+    zones: [{ start: 500, end: 2000, speed: 3 }],
+  });
+
+  // Cross the edge at 500px
+  scroller.seek({ offset: 100 });
+  const distances = [];
+  let previous = element.scrollTop;
+  for (let i = 0; i < 60 * 6; i++) {
+    driver.tick();
+    distances.push(element.scrollTop - previous);
+    previous = element.scrollTop;
+  }
+
+  const perSecond = (second) =>
+    distances
+      .slice(second * 60, second * 60 + 60)
+      .reduce((total, distance) => total + distance, 0);
+  assert.ok(Math.abs(perSecond(0) - 60) <= 3, "base speed before the zone");
+  assert.ok(Math.abs(perSecond(5) - 180) <= 3, "zone speed inside the zone");
+  // Speeds up gradually: at most 3px more per 100ms from one 100ms to the next
+  const chunks = [];
+  for (let i = 0; i < distances.length; i += 6) {
+    chunks.push(distances.slice(i, i + 6).reduce((a, b) => a + b, 0));
+  }
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i] - chunks[i - 1] >= -1);
+    assert.ok(chunks[i] - chunks[i - 1] <= 3);
+  }
+});
+
+test("zones: false ignores the data attributes", () => {
+  const { scroller, element, driver } = setup({
+    speed: 60,
+    zones: false,
+    autoplay: false,
+  });
+  element.children.forEach((child) =>
+    child.setAttribute("data-slow-scroll-speed", "0.5")
+  );
+  scroller.start();
+
+  driver.advance(1000);
+
+  assert.ok(Math.abs(element.scrollTop - 60) <= 3);
+});
+
+test("ignores zones without a valid range or speed", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { element, driver } = setup({
+    speed: 60,
+    zones: [{ start: 0, end: 1000, speed: 0 }, { start: 1000 }],
+  });
+
+  driver.advance(1000);
+
+  assert.equal(warn.mock.callCount(), 2);
+  assert.ok(Math.abs(element.scrollTop - 60) <= 3);
+});
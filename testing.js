@@ -0,0 +1,112 @@
+/**
+ * Super Slow Smooth Scroll - Test Driver
+ *
+ * A manual scheduler that replaces requestAnimationFrame and timers with
+ * virtual time, so scrolling can be stepped frame by frame in Node or jsdom.
+ *
+ * @author Yamato Iizuka
+ * @license MIT
+ */
+
+/**
+ * Creates a scheduler driven by virtual time
+ *
+ * @param {Object} [options] - Driver options
+ * @param {number} [options.frameInterval=1000/60] - Default time in ms between frames (60Hz)
+ * @param {number} [options.startTime=0] - Virtual time the clock starts at
+ * @returns {Object} Driver with the scheduler to pass to createSlowScroll() and methods to advance time
+ *
+ * @example
+ * import { createSlowScroll } from 'slow-scroll';
+ * import { createManualScheduler } from 'slow-scroll/testing';
+ *
+ * const driver = createManualScheduler();
+ * const scroller = createSlowScroll({
+ *   target: element,
+ *   speed: 30,
+ *   scheduler: driver.scheduler,
+ * });
+ *
+ * driver.advance(1000); // One second of frames
+ * // element.scrollTop is now 30
+ */
+export function createManualScheduler(options = {}) {
+  const frameInterval = options.frameInterval ?? 1000 / 60;
+  let time = options.startTime ?? 0;
+  let frames = new Map(); // Request id -> frame callback
+  let timers = []; // { id, time, fn } sorted by due time
+  let nextId = 1;
+
+  const scheduler = {
+    requestFrame(callback) {
+      const id = nextId++;
+      frames.set(id, callback);
+      return id;
+    },
+    cancelFrame(id) {
+      frames.delete(id);
+    },
+    now() {
+      return time;
+    },
+    setTimeout(fn, delay = 0) {
+      const id = nextId++;
+      timers.push({ id, time: time + delay, fn });
+      timers.sort((a, b) => a.time - b.time);
+      return id;
+    },
+    clearTimeout(id) {
+      timers = timers.filter((timer) => timer.id !== id);
+    },
+  };
+
+  /**
+   * Run the timers that are due, in order
+   */
+  function runTimers() {
+    while (timers.length > 0 && timers[0].time <= time) {
+      const timer = timers.shift();
+      timer.fn();
+    }
+  }
+
+  /**
+   * Advance the clock and render one frame
+   * @param {number} [ms=frameInterval] - Time in ms since the previous frame
+   */
+  function tick(ms = frameInterval) {
+    time += ms;
+    runTimers();
+
+    // Callbacks requested during this frame run on the next one
+    const callbacks = Array.from(frames.values());
+    frames = new Map();
+    callbacks.forEach((callback) => callback(time));
+  }
+
+  /**
+   * Render frames until the given time has passed
+   * @param {number} ms - Time in ms to advance
+   * @param {number} [interval=frameInterval] - Time in ms between frames
+   */
+  function advance(ms, interval = frameInterval) {
+    const end = time + ms;
+    while (time + interval <= end + 1e-9) {
+      tick(interval);
+    }
+    // Finish on the exact end time without rendering a partial frame
+    if (time < end) {
+      time = end;
+      runTimers();
+    }
+  }
+
+  return {
+    scheduler,
+    tick,
+    advance,
+    now: scheduler.now,
+    pendingFrames: () => frames.size,
+    pendingTimers: () => timers.length,
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * Super Slow Smooth Scroll - UMD Entry
+ *
+ * The script build: everything in index.js plus autoInit(), which runs
+ * on load so that [data-slow-scroll] elements work without JavaScript.
+ *
+ * @author Yamato Iizuka
+ * @license MIT
+ */
+
+import { autoInit } from "./auto-init.js";
+
+export * from "./index.js";
+export { default } from "./index.js";
+export { autoInit, registry } from "./auto-init.js";
+
+if (typeof document !== "undefined") {
+  autoInit();
+}
@@ -0,0 +1,68 @@
+/**
+ * Super Slow Smooth Scroll - Vue Directive
+ *
+ * @author Yamato Iizuka
+ * @license MIT
+ */
+
+import { createSlowScroll } from "./index.js";
+import { getOptionChanges } from "./bindings.js";
+
+const instances = new WeakMap(); // Element -> scroller instance
+
+/**
+ * Directive that auto-scrolls its element while mounted (v-slow-scroll)
+ *
+ * The value is the options passed to createSlowScroll() (except target).
+ * Changed options are applied with setConfig() without restarting;
+ * autoplay, scheduler and environment only apply on creation.
+ *
+ * @example
+ * <script setup>
+ * import { vSlowScroll } from 'slow-scroll/vue';
+ * const speed = ref(30);
+ * </script>
+ *
+ * <template>
+ *   <div v-slow-scroll="{ speed, bounce: true }" class="credits">...</div>
+ * </template>
+ */
+export const vSlowScroll = {
+  mounted(el, binding) {
+    instances.set(el, createSlowScroll({ ...binding.value, target: el }));
+  },
+
+  updated(el, binding) {
+    const changes = getOptionChanges(binding.oldValue, binding.value);
+    if (changes) {
+      instances.get(el)?.setConfig(changes);
+    }
+  },
+
+  unmounted(el) {
+    instances.get(el)?.destroy();
+    instances.delete(el);
+  },
+};
+
+/**
+ * Get the scroller instance of an element with v-slow-scroll
+ * @param {HTMLElement} el - Element with the directive
+ * @returns {Object|null} The scroller instance, or null if not mounted
+ */
+export function getSlowScroll(el) {
+  return instances.get(el) ?? null;
+}
+
+/**
+ * Plugin that registers v-slow-scroll globally
+ *
+ * @example
+ * import SlowScrollPlugin from 'slow-scroll/vue';
+ * createApp(App).use(SlowScrollPlugin).mount('#app');
+ */
+export default {
+  install(app) {
+    app.directive("slow-scroll", vSlowScroll);
+  },
+};